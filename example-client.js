@@ -295,6 +295,73 @@ async function example6() {
   }
 }
 
+// Example 7: Live output
+async function example7() {
+  console.log('\n=== Example 7: Live Output ===');
+  
+  const javaCode = `
+public class Main {
+    public static void main(String[] args) throws InterruptedException {
+        for (int i = 1; i <= 5; i++) {
+            System.out.println("Tick " + i);
+            Thread.sleep(500);
+        }
+    }
+}`;
+
+  try {
+    const submitResponse = await axios.post(
+      `${SERVER_URL}/api/submit`,
+      { javaCode },
+      { headers: { 'X-API-Key': API_KEY } }
+    );
+    
+    const jobId = submitResponse.data.jobId;
+    console.log(`Job submitted: ${jobId}`);
+    
+    const result = await streamJob(jobId);
+    if (result) {
+      console.log('Status:', result.result.status);
+    }
+  } catch (error) {
+    console.error('Error:', error.response?.data || error.message);
+  }
+}
+
+// Follow a job over its event stream, printing output as it arrives.
+// Resolves with the final job once the done event is received.
+async function streamJob(jobId) {
+  const response = await axios.get(
+    `${SERVER_URL}/api/job/${jobId}/stream`,
+    { headers: { 'X-API-Key': API_KEY }, responseType: 'stream' }
+  );
+  
+  let pending = '';
+  let job = null;
+  for await (const chunk of response.data) {
+    pending += chunk.toString();
+    
+    // Events are separated by a blank line
+    let end;
+    while ((end = pending.indexOf('\n\n')) !== -1) {
+      const lines = pending.slice(0, end).split('\n');
+      pending = pending.slice(end + 2);
+      
+      const type = lines.find(line => line.startsWith('event: '))?.slice(7);
+      const data = lines.find(line => line.startsWith('data: '))?.slice(6);
+      if (!type || !data) continue; // Heartbeat
+      
+      const event = JSON.parse(data);
+      if (type === 'status') console.log(`Status: ${event.status}`);
+      if (type === 'phase') console.log(`--- ${event.phase} ---`);
+      if (type === 'output') process[event.stream].write(event.data);
+      if (type === 'done') job = event;
+    }
+  }
+  
+  return job;
+}
+
 // Main execution
 async function main() {
   console.log('Docker Java Executor - Example Client');
@@ -316,6 +383,7 @@ async function main() {
   await example4(); // Resource monitoring
   await example5(); // Timeout test
   await example6(); // List jobs
+  await example7(); // Live output
   
   console.log('\n=== All examples completed ===');
 }
@@ -325,4 +393,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { pollForResults };
\ No newline at end of file
+module.exports = { pollForResults, streamJob };
\ No newline at end of file
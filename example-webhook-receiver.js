@@ -0,0 +1,61 @@
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+
+// Configuration
+const PORT = process.env.WEBHOOK_PORT || 4000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // From GET /api/webhook
+const MAX_AGE_SECONDS = 300; // Reject old timestamps to stop replayed requests
+
+// Check the X-Webhook-Signature header: HMAC-SHA256 of "<timestamp>.<body>"
+function verifySignature(headers, body) {
+  const timestamp = headers['x-webhook-timestamp'];
+  const signature = headers['x-webhook-signature'] || '';
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = 'sha256=' + crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (WEBHOOK_SECRET && !verifySignature(req.headers, body)) {
+      console.log('Rejected webhook with an invalid signature');
+      res.writeHead(401);
+      return res.end();
+    }
+
+    const { event, job } = JSON.parse(body);
+    console.log(`\n${event} (delivery ${req.headers['x-webhook-id']})`);
+    console.log(`Job ${job.jobId}: ${job.result ? job.result.status : job.status}`);
+    if (job.result && job.result.stdout) console.log('Output:', job.result.stdout);
+
+    res.writeHead(204);
+    res.end();
+  });
+});
+
+// Run if executed directly
+if (require.main === module) {
+  if (!WEBHOOK_SECRET) {
+    console.log('WEBHOOK_SECRET is not set - signatures will not be checked');
+  }
+  server.listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { verifySignature };
@@ -22,9 +22,13 @@ function generateApiKey() {
   return 'jexec_' + crypto.randomBytes(32).toString('hex');
 }
 
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(32).toString('hex');
+}
+
 async function listApiKeys() {
   console.log('\n=== API Keys ===');
-  db.all('SELECT key, description, created_at FROM api_keys ORDER BY created_at DESC', (err, rows) => {
+  db.all('SELECT * FROM api_keys ORDER BY created_at DESC', (err, rows) => {
     if (err) {
       console.error('Error:', err);
       return;
@@ -37,6 +41,13 @@ async function listApiKeys() {
         console.log(`\nKey: ${row.key}`);
         console.log(`Description: ${row.description || 'N/A'}`);
         console.log(`Created: ${new Date(row.created_at).toLocaleString()}`);
+        console.log(`Limits: ${formatLimit(row.rate_limit_per_minute)} submissions/min, ` +
+          `${formatLimit(row.max_concurrent_jobs)} concurrent jobs, ` +
+          `${formatLimit(row.max_queued_jobs)} queued jobs, ` +
+          `${formatLimit(row.daily_execution_seconds)} execution seconds/day`);
+        console.log(`Job ceilings: ${formatCeiling(row.max_timeout_ms)} ms timeout, ` +
+          `${formatCeiling(row.max_memory_mb)} MB memory, ${formatCeiling(row.max_cpus)} CPUs`);
+        console.log(`Webhook: ${row.webhook_url || 'none'}`);
       });
     }
     
@@ -100,6 +111,109 @@ async function deleteApiKey() {
   });
 }
 
+function formatLimit(value) {
+  if (value === null || value === undefined) return 'default';
+  return value === 0 ? 'unlimited' : String(value);
+}
+
+function formatCeiling(value) {
+  return value === null || value === undefined ? 'server max' : String(value);
+}
+
+// Parse a limit answer: blank keeps the server default (NULL), 0 means unlimited
+function parseLimit(answer) {
+  const trimmed = answer.trim();
+  if (trimmed === '') return null;
+  const value = parseInt(trimmed);
+  return isNaN(value) || value < 0 ? undefined : value;
+}
+
+// Parse a per-job ceiling: blank uses the server maximum (NULL), otherwise a positive number
+function parseCeiling(answer, parse = parseInt) {
+  const trimmed = answer.trim();
+  if (trimmed === '') return null;
+  const value = parse(trimmed);
+  return isNaN(value) || value <= 0 ? undefined : value;
+}
+
+async function setApiKeyLimits() {
+  const key = await question('\nEnter the API key to update: ');
+  console.log('Leave a value blank to use the server default, or enter 0 for unlimited.');
+
+  const ratePerMinute = parseLimit(await question('Max submissions per minute: '));
+  const maxConcurrent = parseLimit(await question('Max concurrent running jobs: '));
+  const maxQueued = parseLimit(await question('Max jobs waiting in the queue: '));
+  const dailySeconds = parseLimit(await question('Daily execution budget in seconds: '));
+
+  console.log('\nCeilings for the limits a single job may request. Leave blank for the server maximum.');
+  const maxTimeoutMs = parseCeiling(await question('Max job timeout in ms: '));
+  const maxMemoryMb = parseCeiling(await question('Max job memory in MB: '));
+  if (maxMemoryMb !== null && maxMemoryMb !== undefined && maxMemoryMb < 64) {
+    console.log('Invalid input. Jobs need at least 64 MB of memory.');
+    showMenu();
+    return;
+  }
+  const maxCpus = parseCeiling(await question('Max job CPUs: '), parseFloat);
+
+  if ([ratePerMinute, maxConcurrent, maxQueued, dailySeconds, maxTimeoutMs, maxMemoryMb, maxCpus].includes(undefined)) {
+    console.log('Invalid input. Limits must be non-negative numbers and ceilings positive numbers.');
+    showMenu();
+    return;
+  }
+
+  db.run(
+    `UPDATE api_keys SET
+      rate_limit_per_minute = ?,
+      max_concurrent_jobs = ?,
+      max_queued_jobs = ?,
+      daily_execution_seconds = ?,
+      max_timeout_ms = ?,
+      max_memory_mb = ?,
+      max_cpus = ?
+    WHERE key = ?`,
+    [ratePerMinute, maxConcurrent, maxQueued, dailySeconds, maxTimeoutMs, maxMemoryMb, maxCpus, key],
+    function(err) {
+      if (err) {
+        console.error('Error updating limits:', err);
+      } else if (this.changes === 0) {
+        console.log('\n❌ API key not found.');
+      } else {
+        console.log('\n✅ Limits updated successfully.');
+      }
+      showMenu();
+    }
+  );
+}
+
+async function setApiKeyWebhook() {
+  const key = await question('\nEnter the API key to update: ');
+  const url = (await question('Default webhook URL (blank for none): ')).trim();
+  const rotate = await question('Generate a new signing secret? (yes/no): ');
+
+  if (url !== '' && !/^https?:\/\/\S+$/.test(url)) {
+    console.log('Invalid input. The webhook URL must start with http:// or https://');
+    showMenu();
+    return;
+  }
+
+  const secret = rotate.toLowerCase() === 'yes' ? generateWebhookSecret() : null;
+  db.run(
+    'UPDATE api_keys SET webhook_url = ?, webhook_secret = COALESCE(?, webhook_secret) WHERE key = ?',
+    [url || null, secret, key],
+    function(err) {
+      if (err) {
+        console.error('Error updating webhook:', err);
+      } else if (this.changes === 0) {
+        console.log('\n❌ API key not found.');
+      } else {
+        console.log('\n✅ Webhook updated successfully.');
+        if (secret) console.log(`Signing secret: ${secret}`);
+      }
+      showMenu();
+    }
+  );
+}
+
 async function viewJobStats() {
   console.log('\n=== Job Statistics ===');
   
@@ -161,6 +275,14 @@ async function cleanupOldJobs() {
     return;
   }
   
+  // Output files and webhook deliveries of those jobs go with them
+  const oldJobs = `SELECT id FROM jobs WHERE created_at < datetime('now', '-${daysNum} days')`;
+  const ignoreMissingTable = () => {};
+  db.run(`DELETE FROM job_files WHERE job_id IN (${oldJobs})`, ignoreMissingTable);
+  db.run(`DELETE FROM webhook_deliveries WHERE job_id IN (${oldJobs})`, ignoreMissingTable);
+  db.run(`DELETE FROM batches WHERE created_at < datetime('now', '-${daysNum} days')`, ignoreMissingTable);
+  db.run(`DELETE FROM idempotency_keys WHERE created_at < datetime('now', '-${daysNum} days')`, ignoreMissingTable);
+
   db.run(
     `DELETE FROM jobs WHERE created_at < datetime('now', '-${daysNum} days')`,
     function(err) {
@@ -179,11 +301,13 @@ function showMenu() {
   console.log('1. List all API keys');
   console.log('2. Create new API key');
   console.log('3. Delete API key');
-  console.log('4. View job statistics');
-  console.log('5. Cleanup old jobs');
-  console.log('6. Exit');
+  console.log('4. Set API key limits');
+  console.log('5. Set API key webhook');
+  console.log('6. View job statistics');
+  console.log('7. Cleanup old jobs');
+  console.log('8. Exit');
   
-  question('\nSelect an option (1-6): ').then(async (choice) => {
+  question('\nSelect an option (1-8): ').then(async (choice) => {
     switch(choice) {
       case '1':
         await listApiKeys();
@@ -195,12 +319,18 @@ function showMenu() {
         await deleteApiKey();
         break;
       case '4':
-        await viewJobStats();
+        await setApiKeyLimits();
         break;
       case '5':
-        await cleanupOldJobs();
+        await setApiKeyWebhook();
         break;
       case '6':
+        await viewJobStats();
+        break;
+      case '7':
+        await cleanupOldJobs();
+        break;
+      case '8':
         console.log('Goodbye!');
         process.exit(0);
         break;
@@ -220,6 +350,18 @@ db.serialize(() => {
       description TEXT
     )
   `);
+
+  // Columns added after the initial schema; errors mean they already exist
+  const ignoreDuplicate = () => {};
+  db.run('ALTER TABLE api_keys ADD COLUMN rate_limit_per_minute INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN max_concurrent_jobs INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN max_queued_jobs INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN daily_execution_seconds INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN max_timeout_ms INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN max_memory_mb INTEGER', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN max_cpus REAL', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN webhook_url TEXT', ignoreDuplicate);
+  db.run('ALTER TABLE api_keys ADD COLUMN webhook_secret TEXT', ignoreDuplicate);
   
   db.run(`
     CREATE TABLE IF NOT EXISTS jobs (
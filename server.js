@@ -4,6 +4,16 @@ const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
 const tar = require('tar-stream');
 const { Writable } = require('stream');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const archiver = require('archiver');
 
 const app = express();
 app.use(express.json({ limit: '50mb' }));
@@ -12,12 +22,114 @@ app.use(express.json({ limit: '50mb' }));
 const docker = new Docker();
 const PORT = process.env.PORT || 3000;
 const PROJECT_LABEL = 'java-executor-service';
-const CONTAINER_TIMEOUT_MS = 10000; // 10 seconds
+// Resource limits. Jobs may request their own limits, which are clamped to the API key's
+// ceilings, or to the server maximums below when the key has none.
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.DEFAULT_TIMEOUT_MS) || 10000; // Run phase time limit
+const MAX_TIMEOUT_MS = parseInt(process.env.MAX_TIMEOUT_MS) || 60000;
+const DEFAULT_MEMORY_MB = parseInt(process.env.DEFAULT_MEMORY_MB) || 512;
+const MAX_MEMORY_MB = parseInt(process.env.MAX_MEMORY_MB) || 2048;
+const MIN_MEMORY_MB = 64; // Below this the JVM does not start reliably
+const DEFAULT_CPUS = parseFloat(process.env.DEFAULT_CPUS) || 1;
+const MAX_CPUS = parseFloat(process.env.MAX_CPUS) || 2;
+const COMPILE_TIMEOUT_MS = parseInt(process.env.COMPILE_TIMEOUT_MS) || 30000; // javac time limit
+const MAX_OUTPUT_LENGTH = 10000; // Characters of stdout/stderr kept per phase
+const DEFAULT_WAIT_MS = parseInt(process.env.DEFAULT_WAIT_MS) || 60000; // Wait of synchronous requests
+const MAX_WAIT_MS = parseInt(process.env.MAX_WAIT_MS) || 120000;
+
+// Sandbox profile applied to every job container. /app is a size-limited tmpfs volume
+// owned by the sandbox user; everything else is read-only unless disabled.
+const SANDBOX = {
+  networkMode: process.env.SANDBOX_NETWORK || 'none',
+  pidsLimit: parseInt(process.env.SANDBOX_PIDS_LIMIT) || 128,
+  user: process.env.SANDBOX_USER || '65534:65534', // Numeric uid:gid (nobody)
+  readonlyRootfs: process.env.SANDBOX_READONLY_ROOTFS !== 'false',
+  workdirSizeMb: parseInt(process.env.SANDBOX_WORKDIR_SIZE_MB) || 64,
+  tmpSizeMb: parseInt(process.env.SANDBOX_TMP_SIZE_MB) || 64,
+  maxOpenFiles: parseInt(process.env.SANDBOX_NOFILE_LIMIT) || 1024
+};
+
+// Java runtimes a job can choose from, keyed by name.
+// Set RUNTIMES to a JSON object of the same shape to replace the list.
+const RUNTIMES = process.env.RUNTIMES ? JSON.parse(process.env.RUNTIMES) : {
+  java11: { image: 'eclipse-temurin:11-jdk-alpine', description: 'Java 11 (Eclipse Temurin)' },
+  java17: { image: 'eclipse-temurin:17-jdk-alpine', description: 'Java 17 (Eclipse Temurin)' },
+  java21: { image: 'eclipse-temurin:21-jdk-alpine', description: 'Java 21 (Eclipse Temurin)' }
+};
+const DEFAULT_RUNTIME = process.env.DEFAULT_RUNTIME || 'java17';
+
+// javac flags: report all lint warnings, and force English messages so they can be parsed.
+// Only the submitted sources are compiled: no annotation processors, and no classes or sources
+// are picked up from the input files in /app (the source path is the empty classes/ directory).
+const JAVAC_FLAGS = [
+  '-encoding', 'UTF-8', '-Xlint:all', '-J-Duser.language=en',
+  '-proc:none', '-implicit:none', '-sourcepath', 'classes'
+];
+const JOB_WORKERS = parseInt(process.env.JOB_WORKERS) || 2; // Jobs executed in parallel
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS) || 30000; // Time running jobs get to finish on shutdown
+// What happens to unfinished jobs after a restart (see recoverInterruptedJobs)
+const RECOVER_QUEUED_JOBS = process.env.RECOVER_QUEUED_JOBS !== 'false';
+const RECOVER_RUNNING_JOBS = process.env.RECOVER_RUNNING_JOBS === 'true';
+
+// Default per-key quotas, used when an API key has no explicit limit (0 = unlimited)
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.DEFAULT_RATE_LIMIT_PER_MINUTE ?? 30);
+const DEFAULT_MAX_CONCURRENT_JOBS = parseInt(process.env.DEFAULT_MAX_CONCURRENT_JOBS ?? 5);
+const DEFAULT_MAX_QUEUED_JOBS = parseInt(process.env.DEFAULT_MAX_QUEUED_JOBS ?? 200);
+const DEFAULT_DAILY_EXECUTION_SECONDS = parseInt(process.env.DEFAULT_DAILY_EXECUTION_SECONDS ?? 3600);
 
 // Initialize SQLite database
 const dbPath = process.env.DATABASE_PATH || 'java_executor.db';
 const db = new sqlite3.Database(dbPath);
 
+// Transactions get a connection of their own. Statements from elsewhere in the server would
+// otherwise land inside an open transaction and be undone by its rollback. Writers on either
+// connection wait up to DB_BUSY_TIMEOUT_MS for the other. An in-memory database exists only
+// on its own connection, so it is shared.
+const DB_BUSY_TIMEOUT_MS = 5000;
+const transactionDb = dbPath === ':memory:' ? db : new sqlite3.Database(dbPath);
+db.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', DB_BUSY_TIMEOUT_MS);
+
+// Add a column to an existing table. SQLite has no ADD COLUMN IF NOT EXISTS,
+// so a "duplicate column name" error just means the column is already there.
+function addColumnIfMissing(table, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+    if (err && !/duplicate column name/.test(err.message)) {
+      console.error(`Error adding column to ${table}:`, err);
+    }
+  });
+}
+
+// Transactions share their connection, so only one may be open at a time
+let transactionChain = Promise.resolve();
+
+// Run [sql, params] statements in one transaction: either all of them are stored, or none
+function runTransaction(statements) {
+  const run = () => new Promise((resolve, reject) => {
+    transactionDb.run('BEGIN IMMEDIATE', (beginErr) => {
+      if (beginErr) return reject(beginErr);
+
+      let error = null;
+      transactionDb.serialize(() => {
+        statements.forEach(([sql, params], index) => {
+          transactionDb.run(sql, params, (err) => {
+            if (err && !error) error = err;
+            if (index < statements.length - 1) return;
+
+            transactionDb.run(error ? 'ROLLBACK' : 'COMMIT', (endErr) => {
+              if (error || endErr) return reject(error || endErr);
+              resolve();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  const result = transactionChain.then(run);
+  transactionChain = result.catch(() => {});
+  return result;
+}
+
 // Initialize database tables
 async function initDatabase() {
   return new Promise((resolve, reject) => {
@@ -33,6 +145,21 @@ async function initDatabase() {
         if (err) console.error('Error creating api_keys table:', err);
       });
 
+      // Per-key quotas (NULL = server default, 0 = unlimited)
+      addColumnIfMissing('api_keys', 'rate_limit_per_minute INTEGER');
+      addColumnIfMissing('api_keys', 'max_concurrent_jobs INTEGER');
+      addColumnIfMissing('api_keys', 'max_queued_jobs INTEGER');
+      addColumnIfMissing('api_keys', 'daily_execution_seconds INTEGER');
+
+      // Per-key ceilings for per-job resource limits (NULL = server maximum)
+      addColumnIfMissing('api_keys', 'max_timeout_ms INTEGER');
+      addColumnIfMissing('api_keys', 'max_memory_mb INTEGER');
+      addColumnIfMissing('api_keys', 'max_cpus REAL');
+
+      // Default webhook of the key, and the secret all its webhooks are signed with
+      addColumnIfMissing('api_keys', 'webhook_url TEXT');
+      addColumnIfMissing('api_keys', 'webhook_secret TEXT');
+
       // Jobs table
       db.run(`
         CREATE TABLE IF NOT EXISTS jobs (
@@ -59,6 +186,109 @@ async function initDatabase() {
         if (err) console.error('Error creating jobs table:', err);
       });
 
+      // Separate compile and run results
+      addColumnIfMissing('jobs', 'result_status TEXT');
+      addColumnIfMissing('jobs', 'exit_code INTEGER');
+      addColumnIfMissing('jobs', 'compile_result TEXT');
+      addColumnIfMissing('jobs', 'run_time_ms INTEGER');
+      addColumnIfMissing('jobs', 'exit_reason TEXT');
+
+      // Multi-file projects
+      addColumnIfMissing('jobs', 'sources TEXT');
+      addColumnIfMissing('jobs', 'main_class TEXT');
+
+      // Standard input for the program
+      addColumnIfMissing('jobs', 'stdin TEXT');
+
+      // Test case grading
+      addColumnIfMissing('jobs', 'test_cases TEXT');
+      addColumnIfMissing('jobs', 'test_results TEXT');
+
+      // JUnit test suites
+      addColumnIfMissing('jobs', 'test_sources TEXT');
+      addColumnIfMissing('jobs', 'junit_results TEXT');
+
+      // Java runtime used for the job
+      addColumnIfMissing('jobs', 'runtime TEXT');
+
+      // Effective resource limits of the job
+      addColumnIfMissing('jobs', 'limits TEXT');
+      addColumnIfMissing('jobs', 'exception TEXT');
+
+      // Output files: requested patterns, and a summary of what was collected
+      addColumnIfMissing('jobs', 'output_patterns TEXT');
+      addColumnIfMissing('jobs', 'output_files TEXT');
+
+      // Webhook called when the job is done
+      addColumnIfMissing('jobs', 'callback_url TEXT');
+
+      // Work directory volume of the job's container, which differs for warm pool containers
+      addColumnIfMissing('jobs', 'volume_name TEXT');
+
+      // Batch the job was submitted in
+      addColumnIfMissing('jobs', 'batch_id TEXT');
+      db.run('CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs (batch_id)', (err) => {
+        if (err) console.error('Error creating jobs batch index:', err);
+      });
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS batches (
+          id TEXT PRIMARY KEY,
+          api_key TEXT,
+          job_count INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api_key) REFERENCES api_keys(key)
+        )
+      `, (err) => {
+        if (err) console.error('Error creating batches table:', err);
+      });
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          job_id TEXT,
+          url TEXT,
+          payload TEXT,
+          status TEXT DEFAULT 'pending',
+          attempts TEXT DEFAULT '[]',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME,
+          replay_of TEXT,
+          FOREIGN KEY (job_id) REFERENCES jobs(id)
+        )
+      `, (err) => {
+        if (err) console.error('Error creating webhook_deliveries table:', err);
+      });
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          api_key TEXT,
+          key TEXT,
+          request_hash TEXT,
+          job_id TEXT,
+          response_status INTEGER,
+          response TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (api_key, key),
+          FOREIGN KEY (api_key) REFERENCES api_keys(key)
+        )
+      `, (err) => {
+        if (err) console.error('Error creating idempotency_keys table:', err);
+      });
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS job_files (
+          job_id TEXT,
+          path TEXT,
+          size INTEGER,
+          content BLOB,
+          PRIMARY KEY (job_id, path),
+          FOREIGN KEY (job_id) REFERENCES jobs(id)
+        )
+      `, (err) => {
+        if (err) console.error('Error creating job_files table:', err);
+      });
+
       // check for env var production
       if (process.env.NODE_ENV !== 'production') {
         console.log('Non-production environment detected - creating test \'test-api-key-123\' API key');
@@ -84,7 +314,7 @@ function authenticateApiKey(req, res, next) {
     return res.status(401).json({ error: 'API key required' });
   }
 
-  db.get('SELECT key FROM api_keys WHERE key = ?', [apiKey], (err, row) => {
+  db.get('SELECT * FROM api_keys WHERE key = ?', [apiKey], (err, row) => {
     if (err) {
       return res.status(500).json({ error: 'Database error' });
     }
@@ -92,10 +322,129 @@ function authenticateApiKey(req, res, next) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
     req.apiKey = apiKey;
+    req.apiKeyRecord = row;
     next();
   });
 }
 
+// Resolve the effective quotas for an API key row
+function getKeyQuotas(keyRecord) {
+  const pick = (value, fallback) => value === null || value === undefined ? fallback : value;
+
+  return {
+    ratePerMinute: pick(keyRecord.rate_limit_per_minute, DEFAULT_RATE_LIMIT_PER_MINUTE),
+    maxConcurrentJobs: pick(keyRecord.max_concurrent_jobs, DEFAULT_MAX_CONCURRENT_JOBS),
+    maxQueuedJobs: pick(keyRecord.max_queued_jobs, DEFAULT_MAX_QUEUED_JOBS),
+    dailyExecutionSeconds: pick(keyRecord.daily_execution_seconds, DEFAULT_DAILY_EXECUTION_SECONDS)
+  };
+}
+
+// Current usage for an API key, as counted from the jobs table. The jobs of a batch are
+// one submission.
+function getKeyUsage(apiKey) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT
+        (SELECT COUNT(DISTINCT COALESCE(batch_id, id)) FROM jobs
+          WHERE api_key = $key AND created_at > datetime('now', '-60 seconds')) AS recent_submissions,
+        (SELECT CAST(strftime('%s', 'now') - strftime('%s', MIN(created_at)) AS INTEGER) FROM jobs
+          WHERE api_key = $key AND created_at > datetime('now', '-60 seconds')) AS oldest_recent_age,
+        (SELECT COALESCE(SUM(execution_time_ms), 0) FROM jobs
+          WHERE api_key = $key AND completed_at >= datetime('now', 'start of day')) AS execution_ms_today`,
+      { $key: apiKey },
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+}
+
+// Seconds until the daily execution budget resets (midnight UTC)
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Middleware enforcing per-key submission rate, queued jobs and daily execution budget. The
+// limit on running jobs is applied by the scheduler, so jobs over it wait in the queue instead.
+// A batch is one submission, but each of its jobs is queued. Must run after authenticateApiKey,
+// and after parseBatch for batches.
+async function enforceQuotas(req, res, next) {
+  const quotas = getKeyQuotas(req.apiKeyRecord);
+  const jobCount = req.batchSpecs ? req.batchSpecs.length : 1;
+
+  let usage;
+  try {
+    usage = await getKeyUsage(req.apiKey);
+  } catch (err) {
+    console.error('Database error:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  const executionSecondsToday = usage.execution_ms_today / 1000;
+
+  if (quotas.ratePerMinute > 0) {
+    res.set('X-RateLimit-Limit', String(quotas.ratePerMinute));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, quotas.ratePerMinute - usage.recent_submissions - 1)));
+  }
+  if (quotas.maxConcurrentJobs > 0) {
+    res.set('X-Concurrent-Jobs-Limit', String(quotas.maxConcurrentJobs));
+    res.set('X-Concurrent-Jobs-Remaining',
+      String(Math.max(0, quotas.maxConcurrentJobs - countRunningJobs(req.apiKey))));
+  }
+  const queuedJobs = countQueuedJobs(req.apiKey);
+  if (quotas.maxQueuedJobs > 0) {
+    res.set('X-Queued-Jobs-Limit', String(quotas.maxQueuedJobs));
+    res.set('X-Queued-Jobs-Remaining', String(Math.max(0, quotas.maxQueuedJobs - queuedJobs - jobCount)));
+  }
+  if (quotas.dailyExecutionSeconds > 0) {
+    res.set('X-Daily-Execution-Limit', String(quotas.dailyExecutionSeconds));
+    res.set('X-Daily-Execution-Remaining',
+      String(Math.max(0, Math.floor(quotas.dailyExecutionSeconds - executionSecondsToday))));
+  }
+
+  if (quotas.ratePerMinute > 0 && usage.recent_submissions >= quotas.ratePerMinute) {
+    res.set('X-RateLimit-Remaining', '0');
+    res.set('Retry-After', String(Math.max(1, 60 - (usage.oldest_recent_age || 0))));
+    return res.status(429).json({
+      error: `Rate limit exceeded: at most ${quotas.ratePerMinute} submissions per minute`
+    });
+  }
+
+  if (quotas.maxQueuedJobs > 0 && queuedJobs + jobCount > quotas.maxQueuedJobs) {
+    res.set('X-Queued-Jobs-Remaining', String(Math.max(0, quotas.maxQueuedJobs - queuedJobs)));
+    return res.status(429).json({
+      error: `Queue limit exceeded: at most ${quotas.maxQueuedJobs} jobs may wait in the queue`
+    });
+  }
+
+  if (quotas.dailyExecutionSeconds > 0 && executionSecondsToday >= quotas.dailyExecutionSeconds) {
+    res.set('Retry-After', String(secondsUntilUtcMidnight()));
+    return res.status(429).json({
+      error: `Daily execution budget of ${quotas.dailyExecutionSeconds} seconds exhausted`
+    });
+  }
+
+  next();
+}
+
+// A job whose API key used up its daily execution budget while the job was queued
+class QuotaExceededError extends Error {}
+
+// Check the daily execution budget of a job's API key when the job starts. The jobs
+// queued before it may have used the budget up since it was submitted.
+async function checkDailyBudget(apiKey) {
+  const keyRecord = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM api_keys WHERE key = ?', [apiKey], (err, row) => err ? reject(err) : resolve(row));
+  });
+  const quotas = getKeyQuotas(keyRecord || {});
+  if (quotas.dailyExecutionSeconds <= 0) return;
+
+  const usage = await getKeyUsage(apiKey);
+  if (usage.execution_ms_today / 1000 >= quotas.dailyExecutionSeconds) {
+    throw new QuotaExceededError(`Daily execution budget of ${quotas.dailyExecutionSeconds} seconds exhausted`);
+  }
+}
+
 // Clean up orphaned containers on startup
 async function cleanupOrphanedContainers() {
   try {
@@ -115,27 +464,337 @@ async function cleanupOrphanedContainers() {
         console.error(`Error removing container ${containerInfo.Id}:`, err);
       }
     }
+
+    // Work directory volumes of those containers
+    const { Volumes: volumes } = await docker.listVolumes({
+      filters: {
+        label: [`project=${PROJECT_LABEL}`]
+      }
+    });
+
+    for (const volumeInfo of volumes || []) {
+      try {
+        await docker.getVolume(volumeInfo.Name).remove({ force: true });
+        console.log(`Cleaned up orphaned volume: ${volumeInfo.Name}`);
+      } catch (err) {
+        console.error(`Error removing volume ${volumeInfo.Name}:`, err);
+      }
+    }
   } catch (err) {
     console.error('Error during cleanup:', err);
   }
 }
 
-// Create a tar archive from Java code and input files
+// Job queue
+// Submitted jobs wait here until one of the JOB_WORKERS slots is free. API keys take turns,
+// and the jobs of each key start in submission order.
+// The queue only holds job IDs; the jobs table stays the source of truth, so the
+// queue can be rebuilt from the 'not_started' rows after a restart.
+const FINISHED_STATUSES = ['done', 'cancelled', 'interrupted']; // Final job statuses
+const SHUTDOWN_REASON = 'shutdown'; // Abort reason of jobs stopped by a shutdown rather than cancelled
+const SHUTDOWN_MESSAGE = 'Job was interrupted: the server shut down while it was running';
+const SHUTDOWN_STOP_MS = 10000; // Time stopped jobs get to record their results
+const jobQueue = [];
+const runningJobs = new Map(); // jobId -> { controller, finished, apiKey }, the controller cancels the job
+const jobOwners = new Map(); // jobId -> { apiKey, maxConcurrentJobs } of queued jobs
+const lastJobStarts = new Map(); // apiKey -> turn in which a job of the key last started
+let jobStartTurn = 0;
+let shuttingDown = false; // No new jobs are accepted or started once set
+
+// Owner of a job as the scheduler sees it: the API key and how many of its jobs may run at once
+function getJobOwner(apiKey, keyRecord) {
+  return { apiKey, maxConcurrentJobs: getKeyQuotas(keyRecord || {}).maxConcurrentJobs };
+}
+
+function enqueueJob(jobId, owner) {
+  jobQueue.push(jobId);
+  jobOwners.set(jobId, owner);
+  processQueue();
+}
+
+// Take a job off the queue before it started. Running jobs are left alone.
+function dequeueJob(jobId) {
+  const index = jobQueue.indexOf(jobId);
+  if (index === -1) return false;
+  jobQueue.splice(index, 1);
+  jobOwners.delete(jobId);
+  return true;
+}
+
+function countRunningJobs(apiKey) {
+  let count = 0;
+  for (const job of runningJobs.values()) {
+    if (job.apiKey === apiKey) count++;
+  }
+  return count;
+}
+
+function countQueuedJobs(apiKey) {
+  let count = 0;
+  for (const owner of jobOwners.values()) {
+    if (owner.apiKey === apiKey) count++;
+  }
+  return count;
+}
+
+// A job may start unless its API key already runs as many jobs as it is allowed to
+function canStartJob(jobId) {
+  const { apiKey, maxConcurrentJobs } = jobOwners.get(jobId);
+  return maxConcurrentJobs <= 0 || countRunningJobs(apiKey) < maxConcurrentJobs;
+}
+
+// Index of the job to start next: the oldest queued job of the key that has waited longest
+// since one of its jobs started. Keys that have not started a job yet go first. Jobs of a key
+// at its concurrency limit wait. -1 if no job can start.
+function pickNextJob() {
+  let next = -1;
+  let nextTurn = Infinity;
+  for (let index = 0; index < jobQueue.length; index++) {
+    const turn = lastJobStarts.get(jobOwners.get(jobQueue[index]).apiKey) || 0;
+    if (turn < nextTurn && canStartJob(jobQueue[index])) {
+      next = index;
+      nextTurn = turn;
+    }
+  }
+  return next;
+}
+
+// Start queued jobs while workers are free, taking turns between API keys so that one key
+// cannot hold up the others with a long queue
+function processQueue() {
+  while (!shuttingDown && runningJobs.size < JOB_WORKERS) {
+    const index = pickNextJob();
+    if (index === -1) break;
+
+    const [jobId] = jobQueue.splice(index, 1);
+    const { apiKey } = jobOwners.get(jobId);
+    jobOwners.delete(jobId);
+    lastJobStarts.set(apiKey, ++jobStartTurn);
+    const controller = new AbortController();
+
+    const finished = executeJavaInDocker(jobId, controller.signal)
+      .catch(console.error)
+      .finally(() => {
+        runningJobs.delete(jobId);
+        // A key that comes back later after being idle is first in line again
+        if (countRunningJobs(apiKey) === 0 && countQueuedJobs(apiKey) === 0) lastJobStarts.delete(apiKey);
+        processQueue();
+      });
+    runningJobs.set(jobId, { controller, finished, apiKey });
+  }
+}
+
+// Final status of a job whose signal was aborted: cancelled by its owner, or
+// interrupted by a shutdown. null if it was not stopped.
+function getStoppedStatus(signal) {
+  if (!signal.aborted) return null;
+  return signal.reason === SHUTDOWN_REASON ? 'interrupted' : 'cancelled';
+}
+
+// 1-based position in the queue, or null if the job is not waiting. Keys take turns, so this
+// counts the jobs of every key that start before this one, ignoring concurrency limits.
+function getQueuePosition(jobId) {
+  const owner = jobOwners.get(jobId);
+  if (!owner) return null;
+
+  // Queued jobs per key, and the key's turn: when it last started a job, then its oldest job
+  const keys = new Map();
+  for (let index = 0; index < jobQueue.length; index++) {
+    const { apiKey } = jobOwners.get(jobQueue[index]);
+    if (!keys.has(apiKey)) keys.set(apiKey, { turn: [lastJobStarts.get(apiKey) || 0, index], queued: 0 });
+    if (jobQueue[index] === jobId) keys.get(apiKey).ahead = keys.get(apiKey).queued;
+    keys.get(apiKey).queued++;
+  }
+
+  // Every round each key starts one job. This job starts in round `ahead` of its key, after
+  // the keys whose turn comes earlier.
+  const own = keys.get(owner.apiKey);
+  let position = own.ahead + 1;
+  for (const [apiKey, key] of keys) {
+    if (apiKey === owner.apiKey) continue;
+    const before = key.turn[0] < own.turn[0] || (key.turn[0] === own.turn[0] && key.turn[1] < own.turn[1]);
+    position += Math.min(key.queued, own.ahead + (before ? 1 : 0));
+  }
+  return position;
+}
+
+// Re-queue jobs that were submitted but never started before the last shutdown
+// Jobs that were running when the server stopped lost their container in the startup
+// cleanup, and their output stream cannot be re-attached. They are marked interrupted,
+// or run again from the start with RECOVER_RUNNING_JOBS=true. Queued jobs are kept
+// for restoreJobQueue unless RECOVER_QUEUED_JOBS=false.
+async function recoverInterruptedJobs() {
+  const recovered = [];
+  const interrupt = (status, reason) => new Promise((resolve, reject) => {
+    db.all('SELECT id FROM jobs WHERE status = ?', [status], (err, rows) => {
+      if (err) return reject(err);
+      db.run(
+        `UPDATE jobs SET status = 'interrupted', result_status = 'interrupted', stderr = ?,
+           completed_at = CURRENT_TIMESTAMP
+         WHERE status = ?`,
+        [reason, status],
+        (err) => err ? reject(err) : resolve(rows.map(row => row.id))
+      );
+    });
+  });
+
+  if (!RECOVER_QUEUED_JOBS) {
+    recovered.push(...await interrupt('not_started', 'Job was interrupted: the server restarted before it ran'));
+  }
+
+  if (RECOVER_RUNNING_JOBS) {
+    const count = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE jobs SET status = 'not_started', started_at = NULL, container_id = NULL, volume_name = NULL
+         WHERE status = 'running'`,
+        function(err) { err ? reject(err) : resolve(this.changes); }
+      );
+    });
+    if (count > 0) console.log(`Re-queued ${count} job(s) that were running when the server stopped`);
+  } else {
+    recovered.push(...await interrupt('running', 'Job was interrupted: the server restarted while it was running'));
+  }
+
+  if (recovered.length > 0) {
+    console.log(`Marked ${recovered.length} job(s) as interrupted`);
+  }
+  for (const jobId of recovered) {
+    queueJobWebhooks(jobId);
+  }
+}
+
+async function restoreJobQueue() {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT jobs.id AS job_id, jobs.api_key AS job_api_key, api_keys.*
+       FROM jobs LEFT JOIN api_keys ON api_keys.key = jobs.api_key
+       WHERE jobs.status = 'not_started' ORDER BY jobs.created_at, jobs.rowid`,
+      (err, rows) => err ? reject(err) : resolve(rows)
+    );
+  });
+
+  for (const row of rows) {
+    jobQueue.push(row.job_id);
+    jobOwners.set(row.job_id, getJobOwner(row.job_api_key, row));
+  }
+
+  if (rows.length > 0) {
+    console.log(`Restored ${rows.length} queued job(s) from the database`);
+  }
+}
+
+// Input file contents are UTF-8 text unless sent base64-encoded
+function getInputFileContent(file) {
+  return file.encoding === 'base64' ? Buffer.from(file.content, 'base64') : file.content;
+}
+
+// Live job events for streaming clients. Each job keeps a buffer of its events while it
+// runs and for a while after, so that clients can reconnect and resume after the id of
+// the last event they received.
+const STREAM_BUFFER_BYTES = 1024 * 1024; // Output kept per job for replay
+const STREAM_RETENTION_MS = 60000; // How long a finished job's events stay replayable
+const STREAM_HEARTBEAT_MS = 15000;
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const jobEventBuffers = new Map(); // jobId -> { events, bytes, truncated, ended }
+
+// Record an event of a job and pass it to the connected clients.
+// Output beyond STREAM_BUFFER_BYTES is dropped, leaving a single truncated event.
+function publishJobEvent(jobId, type, data) {
+  let buffer = jobEventBuffers.get(jobId);
+  if (!buffer) {
+    buffer = { events: [], bytes: 0, truncated: false, ended: false };
+    jobEventBuffers.set(jobId, buffer);
+  }
+  if (buffer.ended) return;
+
+  if (type === 'output') {
+    if (buffer.truncated) return;
+    buffer.bytes += Buffer.byteLength(data.data);
+    if (buffer.bytes > STREAM_BUFFER_BYTES) {
+      buffer.truncated = true;
+      type = 'truncated';
+      data = { message: `Live output is limited to ${STREAM_BUFFER_BYTES} bytes; see the job result` };
+    }
+  }
+
+  const event = { id: buffer.events.length + 1, type, data };
+  buffer.events.push(event);
+  if (type === 'done') {
+    buffer.ended = true;
+    setTimeout(() => jobEventBuffers.delete(jobId), STREAM_RETENTION_MS).unref();
+  }
+  jobEvents.emit(jobId, event);
+}
+
+// Publish the final state of a job to streaming clients
+async function publishJobDone(jobId) {
+  try {
+    const job = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (job) publishJobEvent(jobId, 'done', buildJobResponse(job));
+  } catch (e) {
+    console.error('Error publishing job result:', e);
+  }
+}
+
+// Create a tar archive from the Java sources and input files
 // This is the most efficient way to copy multiple files into a Docker container dynamically
-async function createTarArchive(javaCode, inputFiles) {
+async function createTarArchive(sources, inputFiles, testCases = [], testSources = []) {
   const pack = tar.pack();
+  const directories = new Set();
+
+  // Directories get explicit entries so that they are owned by the sandbox user too
+  const addDirectory = (name) => {
+    const parts = name.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+      if (!directories.has(dir)) {
+        directories.add(dir);
+        pack.entry({ name: dir, type: 'directory' });
+      }
+    }
+  };
+
+  const addFile = (name, content) => {
+    if (name.includes('/')) addDirectory(name.slice(0, name.lastIndexOf('/')));
+    pack.entry({ name }, content);
+  };
   
-  // Add the Java file
-  pack.entry({ name: 'Main.java' }, javaCode);
+  // Add the Java sources, keeping their package directories
+  for (const source of sources) {
+    addFile(source.path, source.content);
+  }
+
+  // Hidden JUnit tests live apart from the submitted sources, next to the launcher jar
+  if (testSources.length > 0) {
+    for (const source of testSources) {
+      addFile(`tests/${source.path}`, source.content);
+    }
+    addFile(JUNIT_CONTAINER_JAR, getJUnitJar());
+  }
+
+  // Output directory for compiled classes
+  addDirectory('classes');
   
-  // Add input files
-  if (inputFiles && Array.isArray(inputFiles)) {
+  // Add input files. In grading mode the program only runs in the test case directories,
+  // so the shared files are written there instead.
+  if (testCases.length === 0) {
     for (const file of inputFiles) {
-      if (file.name && file.content) {
-        pack.entry({ name: file.name }, file.content);
-      }
+      addFile(file.name, getInputFileContent(file));
     }
   }
+
+  // Each test case gets its own working directory with the shared and its own input files
+  testCases.forEach((testCase, index) => {
+    const dir = `cases/${index + 1}`;
+    addDirectory(dir);
+
+    for (const file of getTestCaseInputFiles(inputFiles, testCase)) {
+      addFile(`${dir}/${file.name}`, getInputFileContent(file));
+    }
+  });
   
   pack.finalize();
   
@@ -147,272 +806,2436 @@ async function createTarArchive(javaCode, inputFiles) {
   return Buffer.concat(chunks);
 }
 
-// Execute Java code in Docker container
-async function executeJavaInDocker(jobId) {
-  return new Promise(async (resolve) => {
-  let container = null;
-  let timeout = null;
-  let maxCpuPercent = 0;
-  let maxMemoryMb = 0;
-  let timedOut = false;
-  const startTime = Date.now();
+// Parse javac output into structured diagnostics.
+// javac prints each diagnostic as "File.java:LINE: error|warning: message", followed by
+// the offending source line, a caret line marking the column, and any further message lines.
+function parseJavacDiagnostics(output) {
+  const diagnostics = [];
+  const lines = (output || '').split(/\r?\n/);
+  let current = null;
 
-    try {
-      // Get job details from database
-      const job = await new Promise((resolve, reject) => {
-        db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+  const finish = () => {
+    if (current) diagnostics.push(current);
+    current = null;
+  };
 
-      if (!job) {
-        throw new Error('Job not found');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const located = line.match(/^(.+?\.java):(\d+): (error|warning): (.*)$/);
+    if (located) {
+      finish();
+      current = {
+        file: located[1],
+        line: parseInt(located[2]),
+        column: null,
+        severity: located[3],
+        message: located[4],
+        code: null
+      };
+
+      // Source snippet and caret line
+      if (i + 2 < lines.length && /^\s*\^\s*$/.test(lines[i + 2])) {
+        current.code = lines[i + 1];
+        current.column = lines[i + 2].indexOf('^') + 1;
+        i += 2;
       }
+      continue;
+    }
 
-      // Update job status to running
-      await new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE jobs SET status = ?, started_at = CURRENT_TIMESTAMP WHERE id = ?',
-          ['running', jobId],
-          (err) => err ? reject(err) : resolve()
-        );
-      });
+    // Diagnostics without a source position, e.g. "error: file not found" or "Note: ..."
+    const general = line.match(/^(error|warning|Note): (.*)$/);
+    if (general) {
+      finish();
+      current = {
+        file: null,
+        line: null,
+        column: null,
+        severity: general[1] === 'Note' ? 'note' : general[1],
+        message: general[2],
+        code: null
+      };
+      continue;
+    }
 
-      // Parse input files
-      const inputFiles = job.input_files ? JSON.parse(job.input_files) : [];
-      const args = job.args ? JSON.parse(job.args) : [];
+    // Summary lines such as "2 errors" end the list
+    if (/^\d+ (errors?|warnings?)$/.test(line.trim())) {
+      finish();
+      continue;
+    }
 
-      // Create tar archive with Java code and input files
-      const tarBuffer = await createTarArchive(job.java_code, inputFiles);
-
-      // Create container with OpenJDK image
-      container = await docker.createContainer({
-        Image: 'openjdk:17-alpine',
-        Cmd: [
-          'sh', '-c',
-          `cd /app && javac Main.java && java Main ${args.join(' ')}`
-        ],
-        WorkingDir: '/app',
-        HostConfig: {
-          AutoRemove: false,
-          Memory: 512 * 1024 * 1024, // 512MB memory limit
-          CpuShares: 512, // CPU shares (relative weight)
-        },
-        Labels: {
-          project: PROJECT_LABEL,
-          jobId: jobId
-        }
-      });
+    // Anything else continues the current message (e.g. "  symbol: variable x")
+    if (current && line.trim()) {
+      current.message += '\n' + line.trim();
+    }
+  }
 
-      // Update container ID in database
-      await new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE jobs SET container_id = ? WHERE id = ?',
-          [container.id, jobId],
-          (err) => err ? reject(err) : resolve()
-        );
-      });
+  finish();
+  return diagnostics;
+}
 
-      // Copy files to container
-      await container.putArchive(tarBuffer, { path: '/app' });
+// Map a stack frame to one of the submitted source files, or null for JDK/library code.
+// Frames only carry the file's base name, so the package is taken from the class name.
+function resolveFrameSource(className, fileName, sourceFiles) {
+  const lastDot = className.lastIndexOf('.');
+  const packagePath = lastDot === -1 ? '' : className.slice(0, lastDot).replace(/\./g, '/') + '/';
+  const sourcePath = packagePath + fileName;
+  if (sourceFiles.includes(sourcePath)) return sourcePath;
 
-      // Start container
-      const stream = await container.attach({ stream: true, stdout: true, stderr: true });
-      await container.start();
+  // Sources kept outside their package directory (e.g. src/App.java): match on the name alone
+  const matches = sourceFiles.filter(file => file === fileName || file.endsWith('/' + fileName));
+  return matches.length === 1 ? matches[0] : null;
+}
 
-      // Collect output
-      let stdout = '';
-      let stderr = '';
-      
-      const stdoutStream = new Writable({
-        write(chunk, encoding, callback) {
-          stdout += chunk.toString();
-          callback();
-        }
-      });
+// Parse the last uncaught exception ("Exception in thread ...") from stderr.
+// Returns { thread, className, message, frames, cause } where frames only contains
+// frames that point into the submitted sources and cause follows the "Caused by" chain.
+function parseJavaException(stderr, sourceFiles) {
+  const lines = (stderr || '').split(/\r?\n/);
 
-      const stderrStream = new Writable({
-        write(chunk, encoding, callback) {
-          stderr += chunk.toString();
-          callback();
-        }
-      });
-      
-      // Use the demuxStream utility to correctly parse the Docker stream
-      docker.modem.demuxStream(stream, stdoutStream, stderrStream);
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].startsWith('Exception in thread "')) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return null;
 
-      stream.on('end', () => {
-        // This is called when the stream is finished
-      });
+  const header = lines[start].match(/^Exception in thread "(.*?)" ([\w$.]+)(?:: ([\s\S]*))?$/);
+  if (!header) return null;
 
+  const root = {
+    thread: header[1],
+    className: header[2],
+    message: header[3] === undefined ? null : header[3],
+    frames: [],
+    cause: null
+  };
+  let current = root;
+  let inSuppressed = false;
 
-      // Monitor container stats
-      const statsStream = await container.stats({ stream: true });
-      // Stats monitoring interval removed (was unused)
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
 
-      statsStream.on('data', (data) => {
-        try {
-          const stats = JSON.parse(data.toString());
-          
-          // Calculate CPU percentage
-          const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - 
-                          stats.precpu_stats.cpu_usage.total_usage;
-          const systemDelta = stats.cpu_stats.system_cpu_usage - 
-                             stats.precpu_stats.system_cpu_usage;
-          const cpuPercent = (cpuDelta / systemDelta) * 
-                            stats.cpu_stats.online_cpus * 100;
-          
-          if (cpuPercent > maxCpuPercent) {
-            maxCpuPercent = cpuPercent;
-          }
-          
-          // Calculate memory usage
-          const memoryMb = stats.memory_stats.usage / (1024 * 1024);
-          if (memoryMb > maxMemoryMb) {
-            maxMemoryMb = memoryMb;
-          }
-        } catch (e) {
-          // Ignore parse errors
-        }
+    const frame = line.match(/^\tat (?:.*\/)?(\S+)\.([^.\s(]+)\(([^)]*)\)$/);
+    if (frame) {
+      if (inSuppressed) continue;
+      const location = frame[3].match(/^(.+\.java):(\d+)$/);
+      const file = location ? resolveFrameSource(frame[1], location[1], sourceFiles) : null;
+      if (file) {
+        current.frames.push({
+          className: frame[1],
+          method: frame[2],
+          file,
+          line: parseInt(location[2])
+        });
+      }
+      continue;
+    }
+
+    const cause = line.match(/^Caused by: ([\w$.]+)(?:: ([\s\S]*))?$/);
+    if (cause) {
+      current.cause = {
+        className: cause[1],
+        message: cause[2] === undefined ? null : cause[2],
+        frames: [],
+        cause: null
+      };
+      current = current.cause;
+      inSuppressed = false;
+      continue;
+    }
+
+    if (/^\s+Suppressed: /.test(line)) {
+      inSuppressed = true;
+      continue;
+    }
+
+    // "... 3 more" and frames of suppressed exceptions
+    if (/^\s/.test(line)) continue;
+
+    // Multi-line exception messages continue until the first frame
+    if (line && current.frames.length === 0 && !inSuppressed) {
+      current.message = current.message === null ? line : current.message + '\n' + line;
+      continue;
+    }
+
+    break;
+  }
+
+  return root;
+}
+
+// Classify why the program stopped
+function getExitReason(run, exception, oomKilled) {
+  if (run.cancelled) return 'cancelled';
+  if (run.timedOut) return 'timeout';
+  if (oomKilled || run.exitCode === 137) return 'oom_killed';
+  if (run.exitCode === 0) return 'normal';
+  if (exception && run.exitCode === 1) return 'uncaught_exception';
+  if (run.exitCode > 128) return 'signal';
+  return 'system_exit';
+}
+
+// Test case grading
+const COMPARISON_MODES = ['exact', 'trimmed', 'whitespace', 'regex', 'numeric'];
+const MAX_TEST_CASES = 50;
+const MAX_DIFF_LINES = 200;
+
+function normalizeNewlines(text) {
+  return text.replace(/\r\n/g, '\n');
+}
+
+// Check program output against the expected output using the test case's comparison mode:
+// - exact: identical apart from \r\n vs \n
+// - trimmed: trailing whitespace on each line and leading/trailing blank lines are ignored
+// - whitespace: all runs of whitespace are treated as a single space
+// - regex: expected is a regular expression that must match the whole (trimmed) output
+// - numeric: tokens are compared one by one, numbers within `tolerance` of each other match
+async function outputMatches(actual, testCase) {
+  const output = normalizeNewlines(actual);
+  const expected = normalizeNewlines(testCase.expectedStdout);
+  const trimLines = (text) => text.split('\n').map(line => line.trimEnd()).join('\n').trim();
+  const tokens = (text) => text.split(/\s+/).filter(Boolean);
+
+  switch (testCase.comparison) {
+    case 'trimmed':
+      return trimLines(output) === trimLines(expected);
+    case 'whitespace':
+      return tokens(output).join(' ') === tokens(expected).join(' ');
+    case 'regex':
+      return testRegex(`^(?:${expected})$`, output.trim());
+    case 'numeric': {
+      const actualTokens = tokens(output);
+      const expectedTokens = tokens(expected);
+      if (actualTokens.length !== expectedTokens.length) return false;
+      return expectedTokens.every((token, i) => {
+        const a = Number(actualTokens[i]);
+        const e = Number(token);
+        if (!isNaN(a) && !isNaN(e)) return Math.abs(a - e) <= testCase.tolerance;
+        return actualTokens[i] === token;
       });
+    }
+    default:
+      return output === expected;
+  }
+}
 
-      // Set timeout
-      timeout = setTimeout(async () => {
-        timedOut = true;
-        try {
-          await container.kill();
-        } catch (e) {
-          // Container might have already stopped
-        }
-      }, CONTAINER_TIMEOUT_MS);
+const REGEX_TIMEOUT_MS = 1000; // Time a regex comparison may take
+class RegexTimeoutError extends Error {}
+const REGEX_WORKER_SOURCE = `
+  const { parentPort, workerData } = require('worker_threads');
+  parentPort.postMessage(new RegExp(workerData.pattern).test(workerData.input));
+`;
 
-      // Wait for container to finish
-      const result = await container.wait();
-      const executionTime = Date.now() - startTime;
-      
-      clearTimeout(timeout);
-  // No statsInterval to clear
-      statsStream.destroy();
+// Match a regular expression in a worker thread. The output is controlled by the program,
+// and a pattern that backtracks without end would otherwise block the event loop.
+// Rejects with a RegexTimeoutError when it takes longer than REGEX_TIMEOUT_MS.
+function testRegex(pattern, input) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(REGEX_WORKER_SOURCE, { eval: true, workerData: { pattern, input } });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new RegexTimeoutError(`The regular expression did not finish within ${REGEX_TIMEOUT_MS}ms`));
+    }, REGEX_TIMEOUT_MS);
 
-      // Determine if crashed
-      const crashed = result.StatusCode !== 0 && !timedOut;
+    worker.once('message', (matched) => {
+      clearTimeout(timer);
+      resolve(matched);
+    });
+    worker.once('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
 
-      // Update job with results
-      await new Promise((resolve, reject) => {
-        db.run(
-          `UPDATE jobs SET 
-            status = 'done',
-            stdout = ?,
-            stderr = ?,
-            crashed = ?,
-            timed_out = ?,
-            memory_usage_mb = ?,
-            cpu_percent_max = ?,
-            execution_time_ms = ?,
-            completed_at = CURRENT_TIMESTAMP
-          WHERE id = ?`,
-          [
-            stdout.substring(0, 10000), // Limit output size
-            stderr.substring(0, 10000),
-            crashed ? 1 : 0,
-            timedOut ? 1 : 0,
-            maxMemoryMb,
-            maxCpuPercent,
-            executionTime,
-            jobId
-          ],
-          (err) => err ? reject(err) : resolve()
-        );
+// Line diff between expected and actual output, "-" for expected lines and "+" for actual ones
+function diffLines(expected, actual) {
+  const a = normalizeNewlines(expected).split('\n');
+  const b = normalizeNewlines(actual).split('\n');
+
+  // Longest common subsequence table, skipped for large outputs
+  const lcs = [];
+  const useLcs = a.length * b.length <= 250000;
+  if (useLcs) {
+    for (let i = a.length; i >= 0; i--) {
+      lcs[i] = new Array(b.length + 1).fill(0);
+      for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while ((i < a.length || j < b.length) && lines.length < MAX_DIFF_LINES) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (i < a.length && (j >= b.length || !useLcs || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`- ${a[i++]}`);
+      if (!useLcs && j < b.length) lines.push(`+ ${b[j++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  if (i < a.length || j < b.length) lines.push('...');
+
+  return lines.join('\n');
+}
+
+// Run every test case against the compiled program, each in its own working directory
+async function runTestCases(container, mainClass, testCases, sourcePaths, jvmOptions, { startPhase = () => null, signal = null } = {}) {
+  const cases = [];
+
+  for (let i = 0; i < testCases.length; i++) {
+    if (signal && signal.aborted) break; // Cancelled: grade only the cases that ran
+
+    const testCase = testCases[i];
+    const run = await execInContainer(container, buildRunCommand(mainClass, testCase.args, jvmOptions), {
+      timeoutMs: testCase.timeoutMs,
+      workingDir: `/app/cases/${i + 1}`,
+      stdin: testCase.stdin,
+      onOutput: startPhase(`case:${i + 1}`),
+      signal
+    });
+
+    const exception = parseJavaException(run.stderr, sourcePaths);
+    let passed = false;
+    let comparisonError = null;
+    if (!run.timedOut) {
+      try {
+        passed = await outputMatches(run.stdout, testCase);
+      } catch (e) {
+        if (!(e instanceof RegexTimeoutError)) throw e;
+        comparisonError = e.message;
+      }
+    }
+
+    cases.push({
+      name: testCase.name,
+      passed,
+      points: testCase.points,
+      earned: passed ? testCase.points : 0,
+      comparison: testCase.comparison,
+      expectedStdout: testCase.expectedStdout,
+      actualStdout: run.stdout,
+      stderr: run.stderr,
+      diff: passed ? null : diffLines(testCase.expectedStdout, run.stdout),
+      comparisonError,
+      exitCode: run.exitCode,
+      exitReason: getExitReason(run, exception, false),
+      timedOut: run.timedOut,
+      durationMs: run.durationMs
+    });
+  }
+
+  return {
+    score: cases.reduce((sum, testCase) => sum + testCase.earned, 0),
+    maxScore: cases.reduce((sum, testCase) => sum + testCase.points, 0),
+    passed: cases.filter(testCase => testCase.passed).length,
+    total: cases.length,
+    cases
+  };
+}
+
+// JUnit test suites
+// The console launcher jar lives on the server and is copied into the container per job
+const JUNIT_JAR_PATH = process.env.JUNIT_JAR_PATH ||
+  path.join(__dirname, 'lib', 'junit-platform-console-standalone.jar');
+const JUNIT_CONTAINER_JAR = 'lib/junit-platform-console-standalone.jar';
+const junitXmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  isArray: (name) => name === 'testsuite' || name === 'testcase'
+});
+
+let junitJar = null;
+function getJUnitJar() {
+  if (!junitJar) junitJar = fs.readFileSync(JUNIT_JAR_PATH);
+  return junitJar;
+}
+
+// Pull "expected: <x> but was: <y>" out of an assertion failure message
+function parseAssertionMessage(message) {
+  const match = (message || '').match(/expected: <([\s\S]*)> but was: <([\s\S]*)>$/);
+  return match ? { expected: match[1], actual: match[2] } : { expected: null, actual: null };
+}
+
+// Parse a legacy JUnit XML report (TEST-junit-jupiter.xml) into per-test results
+function parseJUnitReport(xml) {
+  const doc = junitXmlParser.parse(xml);
+  const suites = doc.testsuites ? doc.testsuites.testsuite || [] : doc.testsuite || [];
+  const tests = [];
+
+  for (const suite of suites) {
+    for (const testCase of suite.testcase || []) {
+      const output = typeof testCase['system-out'] === 'string' ? testCase['system-out'] : '';
+      const displayName = output.match(/^display-name: (.*)$/m);
+
+      let status = 'passed';
+      let problem = null;
+      if (testCase.failure !== undefined) {
+        status = 'failed';
+        problem = testCase.failure;
+      } else if (testCase.error !== undefined) {
+        status = 'error';
+        problem = testCase.error;
+      } else if (testCase.skipped !== undefined) {
+        status = 'skipped';
+      }
+
+      let failure = null;
+      if (problem !== null) {
+        const details = typeof problem === 'object' ? problem : { '#text': problem };
+        const message = details.message === undefined ? null : String(details.message);
+        failure = {
+          type: details.type || null,
+          message,
+          ...parseAssertionMessage(message),
+          stackTrace: details['#text'] ? String(details['#text']).substring(0, MAX_OUTPUT_LENGTH) : null
+        };
+      }
+
+      tests.push({
+        name: displayName ? displayName[1] : testCase.name,
+        className: testCase.classname,
+        methodName: testCase.name,
+        status,
+        durationMs: Math.round(parseFloat(testCase.time || 0) * 1000),
+        failure
       });
+    }
+  }
 
-      // Clean up container
+  return tests;
+}
+
+const JUNIT_REPORT_FILE = 'TEST-junit-jupiter.xml'; // The launcher's legacy XML report
+
+// Run the hidden test classes with the JUnit console launcher and collect the XML report.
+// The tested code runs in the launcher JVM, so it can rewrite the report or the launcher's
+// output: the results are not trustworthy for code that sets out to fake them.
+async function runJUnitTests(container, testSources, limits, { onOutput = null, signal = null } = {}) {
+  const testClasses = testSources.map(getSourceClassName);
+  const reportsDir = '/app/reports';
+
+  const run = await execInContainer(container, [
+    'java', ...limits.jvmOptions, '-jar', JUNIT_CONTAINER_JAR, 'execute',
+    '--class-path', '/app/classes',
+    ...testClasses.map(className => `--select-class=${className}`),
+    '--reports-dir', reportsDir,
+    '--disable-banner',
+    '--disable-ansi-colors',
+    '--details=none'
+  ], {
+    timeoutMs: limits.timeoutMs,
+    onOutput,
+    signal
+  });
+
+  let tests = [];
+  let reported = false;
+  try {
+    const [report] = await readContainerFiles(container, `${reportsDir}/${JUNIT_REPORT_FILE}`);
+    if (report) {
+      tests = parseJUnitReport(report.content.toString());
+      reported = true;
+    }
+  } catch (e) {
+    // No report is written when the launcher is killed, fails to start or is exited early
+  }
+
+  const count = (status) => tests.filter(test => test.status === status).length;
+
+  // A run without a report, or a failed run whose report has no failing tests, is an error
+  // rather than zero or only passing tests
+  let launcherError = null;
+  if (!reported) {
+    launcherError = 'The JUnit launcher did not write a test report';
+  } else if (run.exitCode !== 0 && count('failed') + count('error') === 0) {
+    launcherError = `The JUnit launcher exited with code ${run.exitCode}`;
+  }
+  if (launcherError) {
+    tests.push({
+      name: 'JUnit launcher',
+      className: null,
+      methodName: null,
+      status: 'error',
+      durationMs: run.durationMs,
+      failure: { type: null, message: launcherError, expected: null, actual: null, stackTrace: null }
+    });
+  }
+
+  return {
+    passed: count('passed'),
+    failed: count('failed'),
+    errors: count('error'),
+    skipped: count('skipped'),
+    total: tests.length,
+    tests,
+    exitCode: run.exitCode,
+    timedOut: run.timedOut,
+    durationMs: run.durationMs,
+    stdout: run.stdout,
+    stderr: run.stderr
+  };
+}
+
+// Compile cache: class files and javac output of earlier compiles, stored on the host and
+// keyed by a hash of everything that affects compilation. A hit skips javac. The least
+// recently used entries are removed once the cache grows past COMPILE_CACHE_MAX_MB.
+const COMPILE_CACHE_DIR = process.env.COMPILE_CACHE_DIR || path.join(path.dirname(dbPath), 'compile-cache');
+const COMPILE_CACHE_MAX_MB = parseInt(process.env.COMPILE_CACHE_MAX_MB ?? 256); // 0 disables the cache
+const compileCache = new Map(); // key -> size in bytes, least recently used first
+let compileCacheBytes = 0;
+
+// Only the outcomes that depend on the sources alone are cached: javac succeeded (0) or
+// reported compile errors (1). Other exit codes mean javac itself failed, e.g. it ran out of
+// the job's memory (4, or 137 when killed), which the next job with more memory may not.
+function isCacheableCompile(compile) {
+  return !compile.timedOut && !compile.cancelled && (compile.exitCode === 0 || compile.exitCode === 1);
+}
+
+function getCompileCacheKey(image, sources, testSources) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    image,
+    javacFlags: JAVAC_FLAGS,
+    sources: sources.map(source => [source.path, source.content]),
+    testSources: testSources ? testSources.map(source => [source.path, source.content]) : null
+  })).digest('hex');
+}
+
+// Load the index of the cache directory, oldest entries first
+async function initCompileCache() {
+  if (COMPILE_CACHE_MAX_MB <= 0) return;
+
+  await fs.promises.mkdir(COMPILE_CACHE_DIR, { recursive: true });
+  const entries = [];
+  for (const name of await fs.promises.readdir(COMPILE_CACHE_DIR)) {
+    if (name.endsWith('.tmp')) {
+      // Left over from an interrupted write
+      await fs.promises.rm(path.join(COMPILE_CACHE_DIR, name), { force: true });
+      continue;
+    }
+    if (!name.endsWith('.json')) continue;
+    const stat = await fs.promises.stat(path.join(COMPILE_CACHE_DIR, name));
+    entries.push({ key: name.slice(0, -5), size: stat.size, usedAt: stat.mtimeMs });
+  }
+
+  entries.sort((a, b) => a.usedAt - b.usedAt);
+  for (const entry of entries) {
+    compileCache.set(entry.key, entry.size);
+    compileCacheBytes += entry.size;
+  }
+  await evictCompileCache();
+}
+
+// A cache entry is a single JSON file: the javac result and the base64 tar of classes/
+async function getCachedCompile(key) {
+  if (!compileCache.has(key)) return null;
+
+  const file = path.join(COMPILE_CACHE_DIR, `${key}.json`);
+  try {
+    const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const now = new Date();
+    await fs.promises.utimes(file, now, now);
+
+    // Move to the most recently used end
+    const size = compileCache.get(key);
+    compileCache.delete(key);
+    compileCache.set(key, size);
+
+    return { ...entry, classes: entry.classes ? Buffer.from(entry.classes, 'base64') : null };
+  } catch (e) {
+    console.error('Error reading compile cache entry:', e.message);
+    compileCacheBytes -= compileCache.get(key) || 0;
+    compileCache.delete(key);
+    return null;
+  }
+}
+
+async function storeCachedCompile(key, compile, classes) {
+  const data = JSON.stringify({
+    exitCode: compile.exitCode,
+    stdout: compile.stdout,
+    stderr: compile.stderr,
+    classes: classes ? classes.toString('base64') : null
+  });
+  const size = Buffer.byteLength(data);
+  if (size > COMPILE_CACHE_MAX_MB * 1024 * 1024) return;
+
+  // Write to a temporary file first, so readers never see a partial entry
+  const file = path.join(COMPILE_CACHE_DIR, `${key}.json`);
+  const tmpFile = `${file}.${uuidv4()}.tmp`;
+  await fs.promises.writeFile(tmpFile, data);
+  await fs.promises.rename(tmpFile, file);
+
+  compileCacheBytes += size - (compileCache.get(key) || 0);
+  compileCache.delete(key);
+  compileCache.set(key, size);
+  await evictCompileCache();
+}
+
+async function evictCompileCache() {
+  const maxBytes = COMPILE_CACHE_MAX_MB * 1024 * 1024;
+  for (const [key, size] of compileCache) {
+    if (compileCacheBytes <= maxBytes) break;
+    compileCache.delete(key);
+    compileCacheBytes -= size;
+    await fs.promises.rm(path.join(COMPILE_CACHE_DIR, `${key}.json`), { force: true });
+  }
+}
+
+// Read a directory of the container as a tar archive
+async function readContainerArchive(container, dirPath) {
+  const archive = await container.getArchive({ path: dirPath });
+  const chunks = [];
+  for await (const chunk of archive) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Sources of a job. Jobs submitted with javaCode only have the java_code column.
+function getJobSources(job) {
+  if (job.sources) return JSON.parse(job.sources);
+  return [{ path: 'Main.java', content: job.java_code }];
+}
+
+// Command that runs the compiled program with the given JVM options and arguments.
+// It is an exec argv, not a shell string, so arguments reach main() verbatim.
+function buildRunCommand(mainClass, args, jvmOptions = []) {
+  return ['java', ...jvmOptions, '-cp', '/app/classes', mainClass, ...args];
+}
+
+// Effective resource limits of a job. Jobs created before per-job limits use the defaults.
+function getJobLimits(job) {
+  if (job.limits) return JSON.parse(job.limits);
+  return {
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    memoryMb: DEFAULT_MEMORY_MB,
+    cpus: DEFAULT_CPUS,
+    jvmOptions: []
+  };
+}
+
+// Read the regular files below a directory of the container as [{ path, content }].
+// Only files for which filter(header) returns true are kept in memory.
+async function readContainerFiles(container, dirPath, filter = () => true) {
+  const archive = await container.getArchive({ path: dirPath });
+  const extract = tar.extract();
+  archive.pipe(extract);
+
+  const files = [];
+  for await (const entry of extract) {
+    const keep = entry.header.type === 'file' && filter(entry.header);
+    const chunks = [];
+    for await (const chunk of entry) {
+      if (keep) chunks.push(chunk);
+    }
+    if (keep) {
+      files.push({ path: entry.header.name, content: Buffer.concat(chunks) });
+    }
+  }
+  return files;
+}
+
+// Collect the files of the work directory that match the job's output patterns.
+// In grading mode the program runs in cases/N, so files are matched relative to that
+// directory and stored as cases/N/<path>. Files over the size limits are skipped.
+async function collectOutputFiles(container, patterns, perCase) {
+  const matchers = patterns.map(globToRegExp);
+  const skipped = [];
+  let count = 0;
+  let totalBytes = 0;
+
+  const files = await readContainerFiles(container, '/app', (header) => {
+    const filePath = header.name.replace(/^app\//, '');
+    let relativePath = filePath;
+    if (perCase) {
+      const match = filePath.match(/^cases\/\d+\/(.+)$/);
+      if (!match) return false;
+      relativePath = match[1];
+    } else if (RESERVED_DIRECTORIES.includes(filePath.split('/')[0])) {
+      return false;
+    }
+    if (!matchers.some(matcher => matcher.test(relativePath))) return false;
+
+    let reason = null;
+    if (header.size > MAX_OUTPUT_FILE_BYTES) reason = 'file_too_large';
+    else if (count >= MAX_OUTPUT_FILES) reason = 'too_many_files';
+    else if (totalBytes + header.size > MAX_TOTAL_OUTPUT_BYTES) reason = 'total_size_exceeded';
+    if (reason) {
+      skipped.push({ path: filePath, size: header.size, reason });
+      return false;
+    }
+
+    count++;
+    totalBytes += header.size;
+    return true;
+  });
+
+  return {
+    files: files.map(file => ({
+      path: file.path.replace(/^app\//, ''),
+      size: file.content.length,
+      content: file.content
+    })),
+    skipped
+  };
+}
+
+// Store the collected output files of a job
+async function saveOutputFiles(jobId, files) {
+  for (const file of files) {
+    await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT OR REPLACE INTO job_files (job_id, path, size, content) VALUES (?, ?, ?, ?)',
+        [jobId, file.path, file.size, file.content],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+  }
+}
+
+// Volume create options for the /app work directory of a job: tmpfs-backed, so writes are
+// capped at SANDBOX.workdirSizeMb and never touch the host disk, and owned by the sandbox user.
+// A volume (unlike a plain tmpfs mount) also works with putArchive/getArchive.
+function buildWorkdirVolumeConfig(name, labels) {
+  const [uid, gid = uid] = SANDBOX.user.split(':');
+  return {
+    Name: name,
+    Driver: 'local',
+    DriverOpts: {
+      type: 'tmpfs',
+      device: 'tmpfs',
+      o: `size=${SANDBOX.workdirSizeMb}m,uid=${uid},gid=${gid},mode=0700`
+    },
+    Labels: {
+      project: PROJECT_LABEL,
+      ...labels
+    }
+  };
+}
+
+// Create the /app work directory of a job
+async function createWorkdirVolume(name, labels) {
+  await docker.createVolume(buildWorkdirVolumeConfig(name, labels));
+}
+
+// Resource limits of a container, used at creation and when a warm container is claimed
+function getContainerResources(limits) {
+  return {
+    Memory: limits.memoryMb * 1024 * 1024, // Memory limit
+    MemorySwap: limits.memoryMb * 1024 * 1024, // No swap on top of it
+    NanoCpus: Math.round(limits.cpus * 1e9) // CPU limit
+  };
+}
+
+// Container create options for a job: an idle container that commands are exec'd into,
+// with the job's resource limits and the hardened sandbox profile
+function buildContainerConfig({ image, limits, volumeName, labels }) {
+  const maxFileBytes = SANDBOX.workdirSizeMb * 1024 * 1024;
+
+  return {
+    Image: image,
+    Cmd: ['tail', '-f', '/dev/null'],
+    WorkingDir: '/app',
+    User: SANDBOX.user,
+    NetworkDisabled: SANDBOX.networkMode === 'none',
+    HostConfig: {
+      AutoRemove: false,
+      ...getContainerResources(limits),
+      CpuShares: 512, // CPU shares (relative weight)
+      NetworkMode: SANDBOX.networkMode,
+      PidsLimit: SANDBOX.pidsLimit, // Stops fork bombs
+      CapDrop: ['ALL'],
+      SecurityOpt: ['no-new-privileges'],
+      ReadonlyRootfs: SANDBOX.readonlyRootfs,
+      Mounts: [
+        { Type: 'volume', Source: volumeName, Target: '/app', VolumeOptions: { NoCopy: true } }
+      ],
+      Tmpfs: {
+        '/tmp': `rw,noexec,nosuid,size=${SANDBOX.tmpSizeMb}m`
+      },
+      Ulimits: [
+        { Name: 'nofile', Soft: SANDBOX.maxOpenFiles, Hard: SANDBOX.maxOpenFiles },
+        { Name: 'fsize', Soft: maxFileBytes, Hard: maxFileBytes }
+      ]
+    },
+    Labels: {
+      project: PROJECT_LABEL,
+      ...labels
+    }
+  };
+}
+
+// Remove a job's container and its work directory volume
+async function removeJobContainer(container, volumeName) {
+  if (container) {
+    try {
+      await container.remove({ force: true });
+    } catch (e) {
+      console.error('Error removing container:', e);
+    }
+  }
+
+  try {
+    await docker.getVolume(volumeName).remove({ force: true });
+  } catch (e) {
+    if (e.statusCode !== 404) console.error('Error removing volume:', e);
+  }
+}
+
+// Warm pool: idle, started sandbox containers per runtime, created ahead of time so a job
+// skips container creation and startup. A claimed container gets the job's limits and is
+// removed after the job like any other; containers are never reused across jobs.
+const WARM_POOL_SIZE = parseInt(process.env.WARM_POOL_SIZE) || 0; // Idle containers per runtime (0 = off)
+const WARM_POOL_RUNTIMES = process.env.WARM_POOL_RUNTIMES
+  ? process.env.WARM_POOL_RUNTIMES.split(',').map(name => name.trim())
+  : [DEFAULT_RUNTIME];
+const warmPools = new Map(); // runtime name -> { idle, creating, hits, misses }
+
+function initWarmPools() {
+  if (WARM_POOL_SIZE <= 0) return;
+
+  for (const name of WARM_POOL_RUNTIMES) {
+    if (!RUNTIMES[name]) {
+      throw new Error(`WARM_POOL_RUNTIMES: ${name} is not one of the configured runtimes`);
+    }
+    warmPools.set(name, { idle: [], creating: 0, hits: 0, misses: 0 });
+    replenishWarmPool(name);
+  }
+}
+
+// Create and start a container for the pool, with the default limits until it is claimed
+async function createWarmContainer(runtimeName) {
+  const volumeName = `${PROJECT_LABEL}-pool-${uuidv4()}`;
+  const labels = { pool: runtimeName };
+  let container = null;
+
+  try {
+    await createWorkdirVolume(volumeName, labels);
+    container = await docker.createContainer(buildContainerConfig({
+      image: RUNTIMES[runtimeName].image,
+      limits: getJobLimits({}),
+      volumeName,
+      labels
+    }));
+    await container.start();
+    return { container, volumeName };
+  } catch (e) {
+    await removeJobContainer(container, volumeName);
+    throw e;
+  }
+}
+
+// Top the pool of a runtime up to WARM_POOL_SIZE in the background. A failure stops
+// the refill until the next claim, so a broken image does not cause a retry loop.
+function replenishWarmPool(runtimeName) {
+  const pool = warmPools.get(runtimeName);
+
+  while (!shuttingDown && pool.idle.length + pool.creating < WARM_POOL_SIZE) {
+    pool.creating++;
+    createWarmContainer(runtimeName)
+      .then((entry) => {
+        if (shuttingDown) return removeJobContainer(entry.container, entry.volumeName);
+        pool.idle.push(entry);
+      })
+      .catch((e) => console.error(`Error creating warm container for ${runtimeName}:`, e.message))
+      .finally(() => pool.creating--);
+  }
+}
+
+// Take an idle container of the runtime and apply the job's limits to it.
+// Resolves with { container, volumeName }, or null if none is ready.
+async function claimWarmContainer(runtimeName, limits) {
+  const pool = warmPools.get(runtimeName);
+  if (!pool) return null;
+
+  try {
+    while (pool.idle.length > 0) {
+      const entry = pool.idle.shift();
       try {
-        await container.remove();
+        await entry.container.update(getContainerResources(limits));
+        pool.hits++;
+        return entry;
       } catch (e) {
-        console.error('Error removing container:', e);
+        console.error('Discarding unusable warm container:', e.message);
+        await removeJobContainer(entry.container, entry.volumeName);
       }
+    }
+    pool.misses++;
+    return null;
+  } finally {
+    replenishWarmPool(runtimeName);
+  }
+}
 
-      resolve({ success: true });
+// Pool sizes and hit/miss counts, for /health
+function getWarmPoolStats() {
+  const stats = {};
+  for (const [name, pool] of warmPools) {
+    stats[name] = {
+      size: WARM_POOL_SIZE,
+      idle: pool.idle.length,
+      creating: pool.creating,
+      hits: pool.hits,
+      misses: pool.misses
+    };
+  }
+  return stats;
+}
 
-    } catch (error) {
-      console.error('Error executing Java code:', error);
-      
-      // Update job status to failed
-      await new Promise((resolve, reject) => {
-        db.run(
-          `UPDATE jobs SET 
-            status = 'done',
-            crashed = 1,
-            stderr = ?,
-            completed_at = CURRENT_TIMESTAMP
-          WHERE id = ?`,
-          [error.message, jobId],
-          (err) => err ? reject(err) : resolve()
+// Kill every process in the container except its idle PID 1, so the container
+// itself stays usable for further commands. Falls back to killing the container.
+async function killContainerProcesses(container) {
+  try {
+    const exec = await container.exec({ Cmd: ['kill', '-9', '-1'] });
+    await exec.start({ Detach: true });
+  } catch (e) {
+    try {
+      await container.kill();
+    } catch (err) {
+      // Container might have already stopped
+    }
+  }
+}
+
+// Run a command inside a running container and collect its output.
+// If stdin is given it is written to the command, followed by EOF. onOutput(stream, text)
+// is called with every chunk of stdout and stderr as it arrives.
+// Resolves with the exit code once the command finishes, or is killed after timeoutMs
+// or when signal is aborted.
+async function execInContainer(container, cmd, { timeoutMs, workingDir = '/app', stdin = null, onOutput = null, signal = null } = {}) {
+  // A job cancelled between phases never starts the next command
+  if (signal && signal.aborted) {
+    return { exitCode: null, stdout: '', stderr: '', timedOut: false, cancelled: true, durationMs: 0 };
+  }
+
+  const withStdin = stdin !== null && stdin !== undefined;
+  const exec = await container.exec({
+    Cmd: cmd,
+    WorkingDir: workingDir,
+    AttachStdin: withStdin,
+    AttachStdout: true,
+    AttachStderr: true
+  });
+
+  const startTime = Date.now();
+  const stream = await exec.start(withStdin ? { hijack: true, stdin: true } : {});
+
+  if (withStdin) {
+    // Ending the hijacked stream half-closes it, which closes the program's stdin
+    stream.on('error', () => {}); // The program may exit without reading everything
+    stream.end(stdin);
+  }
+
+  // Collect output, keeping only as much as will be stored
+  let stdout = '';
+  let stderr = '';
+
+  const stdoutStream = new Writable({
+    write(chunk, encoding, callback) {
+      if (stdout.length < MAX_OUTPUT_LENGTH) stdout += chunk.toString();
+      if (onOutput) onOutput('stdout', chunk.toString());
+      callback();
+    }
+  });
+
+  const stderrStream = new Writable({
+    write(chunk, encoding, callback) {
+      if (stderr.length < MAX_OUTPUT_LENGTH) stderr += chunk.toString();
+      if (onOutput) onOutput('stderr', chunk.toString());
+      callback();
+    }
+  });
+
+  // Use the demuxStream utility to correctly parse the Docker stream
+  docker.modem.demuxStream(stream, stdoutStream, stderrStream);
+
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    killContainerProcesses(container);
+  }, timeoutMs);
+
+  let cancelled = false;
+  const onAbort = () => {
+    cancelled = true;
+    killContainerProcesses(container);
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  // The abort event is not replayed, so catch one that fired while the exec was starting
+  if (signal && signal.aborted) onAbort();
+
+  await new Promise((resolve) => {
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', resolve);
+  });
+  clearTimeout(timeout);
+  if (signal) signal.removeEventListener('abort', onAbort);
+
+  const durationMs = Date.now() - startTime;
+  const { ExitCode } = await exec.inspect();
+
+  return {
+    exitCode: ExitCode,
+    stdout: stdout.substring(0, MAX_OUTPUT_LENGTH),
+    stderr: stderr.substring(0, MAX_OUTPUT_LENGTH),
+    timedOut,
+    cancelled,
+    durationMs
+  };
+}
+
+// Execute Java code in Docker container
+// The container only idles; compilation and execution run as separate commands
+// inside it so that each phase gets its own output, exit code and timeout.
+async function executeJavaInDocker(jobId, signal = new AbortController().signal) {
+  return new Promise(async (resolve) => {
+  let container = null;
+  let maxCpuPercent = 0;
+  let maxMemoryMb = 0;
+  let statsStream = null;
+  let volumeName = `${PROJECT_LABEL}-${jobId}`;
+  const startTime = Date.now();
+
+    try {
+      // Get job details from database
+      const job = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!job) {
+        throw new Error('Job not found');
+      }
+      if (signal.aborted) {
+        throw new Error('Job was cancelled');
+      }
+      await checkDailyBudget(job.api_key);
+
+      // Update job status to running. Streaming clients are told first, so that one
+      // reading the job in between finds its event buffer.
+      publishJobEvent(jobId, 'status', { status: 'running' });
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE jobs SET status = ?, started_at = CURRENT_TIMESTAMP WHERE id = ?',
+          ['running', jobId],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+
+      // Announce a phase to streaming clients and forward its output to them
+      const startPhase = (phase) => {
+        publishJobEvent(jobId, 'phase', { phase });
+        return (stream, data) => publishJobEvent(jobId, 'output', { phase, stream, data });
+      };
+
+      // Parse sources and input files
+      const sources = getJobSources(job);
+      const sourcePaths = sources.map(source => source.path);
+      const mainClass = job.main_class || 'Main';
+      const inputFiles = job.input_files ? JSON.parse(job.input_files) : [];
+      const args = job.args ? JSON.parse(job.args) : [];
+      const testCases = job.test_cases ? JSON.parse(job.test_cases) : null;
+      const testSources = job.test_sources ? JSON.parse(job.test_sources) : null;
+      const outputPatterns = job.output_patterns ? JSON.parse(job.output_patterns) : null;
+      const limits = getJobLimits(job);
+
+      const runtime = RUNTIMES[job.runtime || DEFAULT_RUNTIME];
+      if (!runtime) {
+        throw new Error(`Runtime ${job.runtime} is no longer available`);
+      }
+
+      // Create tar archive with Java sources and input files
+      const tarBuffer = await createTarArchive(sources, inputFiles, testCases || [], testSources || []);
+
+      // Create an idle, sandboxed container with the job's Java runtime image
+      // Claim an idle, already started container from the warm pool, or create one
+      const warm = await claimWarmContainer(job.runtime || DEFAULT_RUNTIME, limits);
+      if (warm) {
+        ({ container, volumeName } = warm);
+      } else {
+        await createWorkdirVolume(volumeName, { jobId });
+        container = await docker.createContainer(buildContainerConfig({
+          image: runtime.image,
+          limits,
+          volumeName,
+          labels: { jobId }
+        }));
+      }
+
+      // Update container ID in database
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE jobs SET container_id = ?, volume_name = ? WHERE id = ?',
+          [container.id, volumeName, jobId],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+
+      // Copy files to container, owned by the sandbox user so it can write next to them
+      await container.putArchive(tarBuffer, { path: '/app', copyUIDGID: true });
+
+      // Start container
+      if (!warm) await container.start();
+      if (signal.aborted) {
+        throw new Error('Job was cancelled');
+      }
+
+      // Monitor container stats
+      statsStream = await container.stats({ stream: true });
+
+      statsStream.on('data', (data) => {
+        try {
+          const stats = JSON.parse(data.toString());
+          
+          // Calculate CPU percentage
+          const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - 
+                          stats.precpu_stats.cpu_usage.total_usage;
+          const systemDelta = stats.cpu_stats.system_cpu_usage - 
+                             stats.precpu_stats.system_cpu_usage;
+          const cpuPercent = (cpuDelta / systemDelta) * 
+                            stats.cpu_stats.online_cpus * 100;
+          
+          if (cpuPercent > maxCpuPercent) {
+            maxCpuPercent = cpuPercent;
+          }
+          
+          // Calculate memory usage
+          const memoryMb = stats.memory_stats.usage / (1024 * 1024);
+          if (memoryMb > maxMemoryMb) {
+            maxMemoryMb = memoryMb;
+          }
+        } catch (e) {
+          // Ignore parse errors
+        }
+      });
+
+      // Compile phase. On a compile cache hit the cached classes are copied in instead.
+      const onCompileOutput = startPhase('compile');
+      const cacheKey = COMPILE_CACHE_MAX_MB > 0 ? getCompileCacheKey(runtime.image, sources, testSources) : null;
+      const cached = cacheKey ? await getCachedCompile(cacheKey) : null;
+
+      let compile;
+      if (cached) {
+        const restoreStart = Date.now();
+        if (cached.classes) {
+          await container.putArchive(cached.classes, { path: '/app', copyUIDGID: true });
+        }
+        if (cached.stdout) onCompileOutput('stdout', cached.stdout);
+        if (cached.stderr) onCompileOutput('stderr', cached.stderr);
+        compile = {
+          exitCode: cached.exitCode,
+          stdout: cached.stdout,
+          stderr: cached.stderr,
+          timedOut: false,
+          cancelled: false,
+          cached: true,
+          durationMs: Date.now() - restoreStart
+        };
+      } else {
+        const classPath = testSources ? `classes:${JUNIT_CONTAINER_JAR}` : 'classes';
+        const compileCommand = ['javac', ...JAVAC_FLAGS, '-cp', classPath, '-d', 'classes'];
+        if (testSources) {
+          compileCommand.push(...testSources.map(source => `tests/${source.path}`));
+        }
+        compile = await execInContainer(container, [...compileCommand, ...sourcePaths], {
+          timeoutMs: COMPILE_TIMEOUT_MS,
+          onOutput: onCompileOutput,
+          signal
+        });
+
+        // Compile errors are cached too, but not compiles that were cut short or failed
+        if (cacheKey && isCacheableCompile(compile)) {
+          try {
+            const classes = compile.exitCode === 0 ? await readContainerArchive(container, '/app/classes') : null;
+            await storeCachedCompile(cacheKey, compile, classes);
+          } catch (e) {
+            console.error('Error storing compile cache entry:', e.message);
+          }
+        }
+      }
+      const compiled = compile.exitCode === 0 && !compile.timedOut && !compile.cancelled;
+
+      // Run phase, only if compilation succeeded. In grading mode every test case
+      // is run, and in JUnit mode the test suite, instead of a single execution.
+      let run = null;
+      let tests = null;
+      let junit = null;
+      if (compiled && signal.aborted) {
+        // Cancelled right after compiling
+      } else if (compiled && testCases) {
+        tests = await runTestCases(container, mainClass, testCases, sourcePaths, limits.jvmOptions, { startPhase, signal });
+      } else if (compiled && testSources) {
+        junit = await runJUnitTests(container, testSources, limits, { onOutput: startPhase('junit'), signal });
+      } else if (compiled) {
+        run = await execInContainer(container, buildRunCommand(mainClass, args, limits.jvmOptions), {
+          timeoutMs: limits.timeoutMs,
+          stdin: job.stdin,
+          onOutput: startPhase('run'),
+          signal
+        });
+      }
+
+      // Work out how the program ended
+      let exitReason = null;
+      let exception = null;
+      if (run) {
+        exception = parseJavaException(run.stderr, sourcePaths);
+
+        let oomKilled = false;
+        if (!run.timedOut && run.exitCode !== 0) {
+          try {
+            const info = await container.inspect();
+            oomKilled = info.State.OOMKilled === true;
+          } catch (e) {
+            // Fall back to the exit code
+          }
+        }
+
+        exitReason = getExitReason(run, exception, oomKilled);
+      }
+
+      // Pull the requested output files out before the container is removed.
+      // Failing to do so does not fail the job.
+      let outputFiles = null;
+      if (compiled && outputPatterns) {
+        try {
+          const outputs = await collectOutputFiles(container, outputPatterns, testCases !== null);
+          await saveOutputFiles(jobId, outputs.files);
+          outputFiles = {
+            count: outputs.files.length,
+            totalBytes: outputs.files.reduce((sum, file) => sum + file.size, 0),
+            skipped: outputs.skipped
+          };
+        } catch (e) {
+          console.error('Error collecting output files:', e);
+          outputFiles = { count: 0, totalBytes: 0, skipped: [], error: 'Output files could not be collected' };
+        }
+      }
+
+      const executionTime = Date.now() - startTime;
+      statsStream.destroy();
+
+      // Determine the outcome. A stopped job keeps the output it produced so far.
+      const stoppedStatus = getStoppedStatus(signal);
+      const timedOut = run !== null && run.timedOut;
+      const crashed = run !== null && run.exitCode !== 0 && !timedOut && !run.cancelled;
+      let resultStatus = 'success';
+      if (stoppedStatus) resultStatus = stoppedStatus;
+      else if (!compiled) resultStatus = 'compile_error';
+      else if (timedOut) resultStatus = 'timed_out';
+      else if (crashed) resultStatus = 'crashed';
+
+      const compileResult = {
+        success: compiled,
+        exitCode: compile.exitCode,
+        stdout: compile.stdout,
+        stderr: compile.stderr,
+        durationMs: compile.durationMs,
+        timedOut: compile.timedOut,
+        cached: compile.cached === true,
+        diagnostics: parseJavacDiagnostics(compile.stderr + '\n' + compile.stdout)
+      };
+
+      // Update job with results
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE jobs SET 
+            status = ?,
+            result_status = ?,
+            stdout = ?,
+            stderr = ?,
+            exit_code = ?,
+            exit_reason = ?,
+            exception = ?,
+            crashed = ?,
+            timed_out = ?,
+            compile_result = ?,
+            test_results = ?,
+            junit_results = ?,
+            output_files = ?,
+            run_time_ms = ?,
+            memory_usage_mb = ?,
+            cpu_percent_max = ?,
+            execution_time_ms = ?,
+            completed_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+          [
+            stoppedStatus || 'done',
+            resultStatus,
+            run ? run.stdout : '',
+            run ? run.stderr : (compiled ? '' : compile.stderr), // Keep javac errors visible to older clients
+            run ? run.exitCode : null,
+            exitReason,
+            exception ? JSON.stringify(exception) : null,
+            crashed ? 1 : 0,
+            timedOut ? 1 : 0,
+            JSON.stringify(compileResult),
+            tests ? JSON.stringify(tests) : null,
+            junit ? JSON.stringify(junit) : null,
+            outputFiles ? JSON.stringify(outputFiles) : null,
+            run ? run.durationMs : null,
+            maxMemoryMb,
+            maxCpuPercent,
+            executionTime,
+            jobId
+          ],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+
+      await publishJobDone(jobId);
+      queueJobWebhooks(jobId);
+
+      // Clean up container
+      await removeJobContainer(container, volumeName);
+
+      resolve({ success: true });
+
+    } catch (error) {
+      const stoppedStatus = getStoppedStatus(signal);
+      const quotaExceeded = !stoppedStatus && error instanceof QuotaExceededError;
+      if (!stoppedStatus && !quotaExceeded) console.error('Error executing Java code:', error);
+      
+      // Update job status to failed, or cancelled/interrupted if it was stopped before it ran
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE jobs SET 
+            status = ?,
+            result_status = ?,
+            crashed = ?,
+            stderr = ?,
+            execution_time_ms = ?,
+            completed_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+          [
+            stoppedStatus || 'done',
+            stoppedStatus || (quotaExceeded ? 'quota_exceeded' : 'error'),
+            stoppedStatus || quotaExceeded ? 0 : 1,
+            stoppedStatus === 'interrupted' ? SHUTDOWN_MESSAGE : (stoppedStatus ? '' : error.message),
+            quotaExceeded ? 0 : Date.now() - startTime, // A job that did not run uses none of the budget
+            jobId
+          ],
+          (err) => err ? reject(err) : resolve()
+        );
+      });
+
+      if (statsStream) statsStream.destroy();
+      await publishJobDone(jobId);
+      queueJobWebhooks(jobId);
+
+      // Clean up container and volume if they exist
+      await removeJobContainer(container, volumeName);
+
+      resolve({ success: false, error: error.message });
+    }
+  });
+}
+
+// Build the public representation of a job row, as returned by GET /api/job/:jobId
+function buildJobResponse(job) {
+  const response = {
+    jobId: job.id,
+    status: job.status,
+    runtime: job.runtime || DEFAULT_RUNTIME,
+    limits: getJobLimits(job),
+    mainClass: job.main_class || (job.test_sources ? null : 'Main'),
+    stdin: job.stdin,
+    outputPatterns: job.output_patterns ? JSON.parse(job.output_patterns) : null,
+    callbackUrl: job.callback_url || null,
+    batchId: job.batch_id || null,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at
+  };
+
+  if (job.status === 'not_started') {
+    response.queuePosition = getQueuePosition(job.id);
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    const compile = job.compile_result ? JSON.parse(job.compile_result) : null;
+    const ran = job.run_time_ms !== null && job.run_time_ms !== undefined;
+
+    response.result = {
+      status: job.result_status || (job.crashed === 1 ? 'crashed' : 'success'),
+      compileCached: compile ? compile.cached === true : false,
+      stdout: job.stdout || '',
+      stderr: job.stderr || '',
+      crashed: job.crashed === 1,
+      timedOut: job.timed_out === 1,
+      memoryUsageMB: job.memory_usage_mb,
+      cpuPercentMax: job.cpu_percent_max,
+      executionTimeMs: job.execution_time_ms,
+      compile,
+      run: ran ? {
+        exitCode: job.exit_code,
+        exitReason: job.exit_reason,
+        exception: job.exception ? JSON.parse(job.exception) : null,
+        stdout: job.stdout || '',
+        stderr: job.stderr || '',
+        durationMs: job.run_time_ms,
+        timedOut: job.timed_out === 1
+      } : null,
+      tests: job.test_results ? JSON.parse(job.test_results) : null,
+      junit: job.junit_results ? JSON.parse(job.junit_results) : null,
+      outputFiles: job.output_files ? JSON.parse(job.output_files) : null
+    };
+  }
+
+  return response;
+}
+
+// Webhooks: when a job is finished, its result is POSTed to the job's callbackUrl and to the
+// default webhook of its API key. Requests are signed with the key's webhook secret and
+// retried with exponential backoff. Every delivery and its attempts are logged.
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000; // Doubles per attempt
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+// Hosts webhooks may reach although they resolve to a private address, e.g. "localhost,hooks.internal"
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Addresses webhooks must not reach: loopback, private, link-local (including cloud metadata
+// endpoints), shared, multicast and reserved ranges. IPv4-mapped IPv6 addresses match too.
+const blockedWebhookAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockedWebhookAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedWebhookAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+function isBlockedWebhookAddress(hostname, address) {
+  if (WEBHOOK_ALLOWED_HOSTS.includes(hostname.toLowerCase())) return false;
+  return blockedWebhookAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for webhook requests that refuses blocked addresses. It runs when the connection
+// is made, so a host cannot pass the check and then resolve to another address.
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isBlockedWebhookAddress(hostname, address))) {
+      return callback(new Error(`${hostname} resolves to a private, loopback or link-local address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Check that a webhook URL does not point into the executor's network. Throws a
+// ValidationError naming the field otherwise.
+async function checkWebhookUrl(url, field) {
+  if (!url) return;
+
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (e) {
+    throw new ValidationError(`${field} host ${hostname} could not be resolved`);
+  }
+  if (addresses.some(({ address }) => isBlockedWebhookAddress(hostname, address))) {
+    throw new ValidationError(`${field} must not point to a private, loopback or link-local address`);
+  }
+}
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(32).toString('hex');
+}
+
+// Secret of an API key, created on first use
+async function getWebhookSecret(apiKey) {
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT webhook_secret FROM api_keys WHERE key = ?', [apiKey], (err, row) => err ? reject(err) : resolve(row));
+  });
+  if (row && row.webhook_secret) return row.webhook_secret;
+
+  const secret = generateWebhookSecret();
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE api_keys SET webhook_secret = ? WHERE key = ? AND webhook_secret IS NULL',
+      [secret, apiKey],
+      (err) => err ? reject(err) : resolve()
+    );
+  });
+  // Another request may have set one first
+  return getWebhookSecret(apiKey);
+}
+
+// Signature sent in the X-Webhook-Signature header: HMAC-SHA256 of "<timestamp>.<body>"
+function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function getWebhookDelivery(deliveryId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT d.*, j.api_key FROM webhook_deliveries d JOIN jobs j ON j.id = d.job_id WHERE d.id = ?`,
+      [deliveryId],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+}
+
+// Record a delivery and start sending it
+async function createWebhookDelivery(jobId, url, payload, replayOf = null) {
+  const deliveryId = uuidv4();
+  await new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO webhook_deliveries (id, job_id, url, payload, replay_of) VALUES (?, ?, ?, ?, ?)',
+      [deliveryId, jobId, url, payload, replayOf],
+      (err) => err ? reject(err) : resolve()
+    );
+  });
+  deliverWebhook(deliveryId);
+  return deliveryId;
+}
+
+// Send the webhooks of a finished job. Failures are logged with the delivery.
+async function queueJobWebhooks(jobId) {
+  try {
+    const job = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT j.*, k.webhook_url FROM jobs j LEFT JOIN api_keys k ON k.key = j.api_key WHERE j.id = ?`,
+        [jobId],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!job) return;
+
+    const urls = [...new Set([job.callback_url, job.webhook_url].filter(Boolean))];
+    if (urls.length === 0) return;
+
+    const payload = JSON.stringify({ event: `job.${job.status}`, job: buildJobResponse(job) });
+    for (const url of urls) {
+      await createWebhookDelivery(jobId, url, payload);
+    }
+  } catch (e) {
+    console.error('Error queueing webhooks:', e);
+  }
+}
+
+// Make one attempt at a delivery, and schedule the next one if it failed
+async function deliverWebhook(deliveryId) {
+  try {
+    const delivery = await getWebhookDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const attempts = JSON.parse(delivery.attempts);
+    const secret = await getWebhookSecret(delivery.api_key);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+    const startTime = Date.now();
+
+    try {
+      // IP literals are not looked up, so they are checked here
+      await checkWebhookUrl(delivery.url, 'Webhook URL');
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': PROJECT_LABEL,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': JSON.parse(delivery.payload).event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhook(secret, timestamp, delivery.payload)
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: webhookLookup,
+        transformRequest: [(data) => data], // Send the signed body byte for byte
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (e) {
+      attempt.error = e.message;
+    }
+    attempt.durationMs = Date.now() - startTime;
+    attempts.push(attempt);
+
+    let status = 'pending';
+    if (!attempt.error) status = 'delivered';
+    else if (attempts.length >= WEBHOOK_MAX_ATTEMPTS) status = 'failed';
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?,
+           completed_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+         WHERE id = ?`,
+        [status, JSON.stringify(attempts), status, deliveryId],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+
+    if (status === 'pending') {
+      const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempts.length - 1);
+      setTimeout(() => deliverWebhook(deliveryId), delay).unref();
+    }
+  } catch (e) {
+    console.error('Error delivering webhook:', e);
+  }
+}
+
+// Resume deliveries that were still being retried when the server stopped
+async function resumeWebhookDeliveries() {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id FROM webhook_deliveries WHERE status = 'pending' ORDER BY created_at`,
+      (err, rows) => err ? reject(err) : resolve(rows)
+    );
+  });
+
+  for (const row of rows) {
+    deliverWebhook(row.id);
+  }
+
+  if (rows.length > 0) {
+    console.log(`Resumed ${rows.length} pending webhook deliveries`);
+  }
+}
+
+// Public representation of a webhook delivery
+function buildDeliveryResponse(delivery) {
+  return {
+    deliveryId: delivery.id,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: JSON.parse(delivery.attempts),
+    replayOf: delivery.replay_of,
+    createdAt: delivery.created_at,
+    completedAt: delivery.completed_at
+  };
+}
+
+// Error for invalid submissions, reported to the client as 400
+class ValidationError extends Error {}
+
+const MAX_SOURCE_FILES = 200;
+const SOURCE_PATH_PATTERN = /^([\w$-]+\/)*[\w$]+\.java$/;
+const CLASS_NAME_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+const MAX_STDIN_BYTES = 1024 * 1024; // 1MB
+const MAX_INPUT_FILES = 100;
+// Input files must fit in the work directory
+const MAX_TOTAL_INPUT_BYTES = Math.min(
+  parseInt(process.env.MAX_TOTAL_INPUT_BYTES) || 20 * 1024 * 1024, // 20MB
+  SANDBOX.workdirSizeMb * 1024 * 1024
+);
+const MAX_INPUT_FILE_BYTES = Math.min(
+  parseInt(process.env.MAX_INPUT_FILE_BYTES) || 5 * 1024 * 1024, // 5MB
+  MAX_TOTAL_INPUT_BYTES
+);
+const RESERVED_DIRECTORIES = ['classes', 'cases', 'tests', 'lib', 'reports']; // Used by the executor
+const MAX_OUTPUT_PATTERNS = 20;
+const MAX_OUTPUT_FILES = 100;
+const MAX_OUTPUT_FILE_BYTES = parseInt(process.env.MAX_OUTPUT_FILE_BYTES) || 5 * 1024 * 1024; // 5MB
+const MAX_TOTAL_OUTPUT_BYTES = parseInt(process.env.MAX_TOTAL_OUTPUT_BYTES) || 20 * 1024 * 1024; // 20MB
+const MAX_ARGS = 100;
+const MAX_ARG_LENGTH = 4096;
+const MAX_TOTAL_ARGS_LENGTH = 64 * 1024;
+
+// Validate a list of { path, content } Java source files sent in the given field
+function normalizeSourceFiles(files, field) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new ValidationError(`${field} must be a non-empty array of { path, content }`);
+  }
+  if (files.length > MAX_SOURCE_FILES) {
+    throw new ValidationError(`At most ${MAX_SOURCE_FILES} files are allowed in ${field}`);
+  }
+
+  const seen = new Set();
+  return files.map((source, index) => {
+    if (!source || typeof source.path !== 'string' || typeof source.content !== 'string') {
+      throw new ValidationError(`${field}[${index}] must have a string path and content`);
+    }
+    if (!SOURCE_PATH_PATTERN.test(source.path)) {
+      throw new ValidationError(
+        `${field}[${index}].path must be a relative path to a .java file, e.g. com/acme/App.java`
+      );
+    }
+    if (seen.has(source.path)) {
+      throw new ValidationError(`Duplicate path in ${field}: ${source.path}`);
+    }
+    seen.add(source.path);
+    return { path: source.path, content: source.content };
+  });
+}
+
+// Validate the sources of a submission: either a `sources` array of { path, content }
+// or the single-file `javaCode` field, which is stored as Main.java.
+function normalizeSources(body) {
+  if (body.sources === undefined) {
+    if (typeof body.javaCode !== 'string' || !body.javaCode) {
+      throw new ValidationError('Java code is required');
+    }
+    return [{ path: 'Main.java', content: body.javaCode }];
+  }
+
+  return normalizeSourceFiles(body.sources, 'sources');
+}
+
+// Hidden JUnit test sources, compiled with the submission and run instead of main
+function normalizeTestSources(body) {
+  if (body.testSources === undefined || body.testSources === null) return null;
+
+  if (body.testCases !== undefined && body.testCases !== null) {
+    throw new ValidationError('testSources and testCases cannot be combined');
+  }
+  if (!fs.existsSync(JUNIT_JAR_PATH)) {
+    throw new ValidationError('JUnit tests are not available on this server');
+  }
+  return normalizeSourceFiles(body.testSources, 'testSources');
+}
+
+// Fully qualified class name of a source, from its package declaration and file name
+function getSourceClassName(source) {
+  const packageMatch = source.content.match(/^\s*package\s+([\w.]+)\s*;/m);
+  const className = source.path.split('/').pop().replace(/\.java$/, '');
+  return packageMatch ? `${packageMatch[1]}.${className}` : className;
+}
+
+// Java source with its comments and string, text block and character literals blanked out
+function stripJavaCommentsAndLiterals(code) {
+  return code.replace(/"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, ' ');
+}
+
+// Fully qualified names of the classes declaring a main(String[]) method. Comments and
+// string literals are ignored, so a mention of main in them does not count.
+function findMainClasses(sources) {
+  const mainMethod = /\bstatic\s+(?:(?:public|final|synchronized|strictfp)\s+)*void\s+main\s*\(\s*(?:final\s+)?(?:java\.lang\.)?String\s*(?:\[\s*\]|\.\.\.|\s[\w$]+\s*\[\s*\])/;
+  return sources
+    .filter(source => mainMethod.test(stripJavaCommentsAndLiterals(source.content)))
+    .map(getSourceClassName);
+}
+
+// Use the requested main class, or detect it when exactly one source has a main method
+function resolveMainClass(body, sources) {
+  if (body.mainClass !== undefined) {
+    if (typeof body.mainClass !== 'string' || !CLASS_NAME_PATTERN.test(body.mainClass)) {
+      throw new ValidationError('mainClass must be a fully qualified class name, e.g. com.acme.App');
+    }
+    return body.mainClass;
+  }
+
+  const candidates = findMainClasses(sources);
+  if (candidates.length === 1) return candidates[0];
+
+  // Single-file submissions always ran Main
+  if (body.sources === undefined) return 'Main';
+
+  // JUnit submissions run the tests, not a main method
+  if (candidates.length === 0 && body.testSources) return null;
+
+  if (candidates.length === 0) {
+    throw new ValidationError('No class with a main method found; set mainClass');
+  }
+  throw new ValidationError(
+    `Several classes declare a main method (${candidates.join(', ')}); set mainClass`
+  );
+}
+
+// Program arguments: an array of strings, passed to the program as-is
+function normalizeArgs(args, field = 'args') {
+  if (args === undefined || args === null) return [];
+
+  if (!Array.isArray(args)) {
+    throw new ValidationError(`${field} must be an array of strings`);
+  }
+  if (args.length > MAX_ARGS) {
+    throw new ValidationError(`${field} must not have more than ${MAX_ARGS} entries`);
+  }
+
+  let totalLength = 0;
+  args.forEach((arg, index) => {
+    if (typeof arg !== 'string') {
+      throw new ValidationError(`${field}[${index}] must be a string`);
+    }
+    if (arg.length > MAX_ARG_LENGTH) {
+      throw new ValidationError(`${field}[${index}] must not be longer than ${MAX_ARG_LENGTH} characters`);
+    }
+    if (arg.includes('\0')) {
+      throw new ValidationError(`${field}[${index}] must not contain NUL characters`);
+    }
+    totalLength += arg.length;
+  });
+
+  if (totalLength > MAX_TOTAL_ARGS_LENGTH) {
+    throw new ValidationError(`${field} must not be longer than ${MAX_TOTAL_ARGS_LENGTH} characters in total`);
+  }
+  return args;
+}
+
+// Validate and normalize input files: { name, content, encoding } with a relative path as name.
+// Paths may not escape the work directory, clash with each other, with the given source paths
+// or with the directories the executor uses.
+function normalizeInputFiles(files, field = 'inputFiles', sourcePaths = []) {
+  if (files === undefined || files === null) return [];
+
+  if (!Array.isArray(files)) {
+    throw new ValidationError(`${field} must be an array of { name, content }`);
+  }
+  if (files.length > MAX_INPUT_FILES) {
+    throw new ValidationError(`At most ${MAX_INPUT_FILES} files are allowed in ${field}`);
+  }
+
+  const filePaths = new Set(sourcePaths);
+  const directoryPaths = new Set();
+  for (const sourcePath of sourcePaths) {
+    const parts = sourcePath.split('/');
+    for (let i = 1; i < parts.length; i++) directoryPaths.add(parts.slice(0, i).join('/'));
+  }
+
+  return files.map((file, index) => {
+    const label = `${field}[${index}]`;
+    if (!file || typeof file.name !== 'string' || typeof file.content !== 'string') {
+      throw new ValidationError(`${label} must have a string name and content`);
+    }
+
+    const encoding = file.encoding === undefined ? 'utf8' : file.encoding;
+    if (encoding !== 'utf8' && encoding !== 'base64') {
+      throw new ValidationError(`${label}.encoding must be "utf8" or "base64"`);
+    }
+    if (encoding === 'base64' && !/^[A-Za-z0-9+/]*={0,2}$/.test(file.content)) {
+      throw new ValidationError(`${label}.content is not valid base64`);
+    }
+
+    // Path checks
+    const name = file.name;
+    const parts = name.split('/');
+    if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) {
+      throw new ValidationError(`${label}.name must be a relative path: ${name}`);
+    }
+    if (name.includes('\\') || name.includes('\0') || name.length > 255 ||
+        parts.some(part => part === '' || part === '.' || part === '..')) {
+      throw new ValidationError(`${label}.name is not a valid path: ${name}`);
+    }
+    if (RESERVED_DIRECTORIES.includes(parts[0]) && field === 'inputFiles') {
+      throw new ValidationError(`${label}.name uses a reserved directory (${parts[0]}/): ${name}`);
+    }
+    if (filePaths.has(name)) {
+      throw new ValidationError(
+        sourcePaths.includes(name)
+          ? `${label}.name clashes with a source file: ${name}`
+          : `Duplicate file name in ${field}: ${name}`
+      );
+    }
+    if (directoryPaths.has(name)) {
+      throw new ValidationError(`${label}.name clashes with a directory: ${name}`);
+    }
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join('/');
+      if (filePaths.has(parent)) {
+        throw new ValidationError(`${label}.name is inside ${parent}, which is a file`);
+      }
+      directoryPaths.add(parent);
+    }
+    filePaths.add(name);
+
+    const normalized = { name, content: file.content, encoding };
+    if (getInputFileSize(normalized) > MAX_INPUT_FILE_BYTES) {
+      throw new ValidationError(`${label} is larger than ${MAX_INPUT_FILE_BYTES} bytes`);
+    }
+    return normalized;
+  });
+}
+
+// Decoded size of an input file in bytes
+function getInputFileSize(file) {
+  return file.encoding === 'base64'
+    ? Buffer.from(file.content, 'base64').length
+    : Buffer.byteLength(file.content);
+}
+
+// Input files of a test case: the shared ones, replaced by the case's own files of the same name
+function getTestCaseInputFiles(inputFiles, testCase) {
+  const files = new Map();
+  for (const file of [...inputFiles, ...testCase.inputFiles]) {
+    files.set(file.name, file);
+  }
+  return [...files.values()];
+}
+
+// The files of a test case may replace shared files of the same name, but no file of either
+// may be inside a file of the other
+function checkTestCaseInputFiles(inputFiles, caseInputFiles, field) {
+  const names = new Set(getTestCaseInputFiles(inputFiles, { inputFiles: caseInputFiles }).map(file => file.name));
+  for (const name of names) {
+    const parts = name.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join('/');
+      if (names.has(parent)) {
+        throw new ValidationError(`${field} clash with the shared inputFiles: ${name} is inside ${parent}, which is a file`);
+      }
+    }
+  }
+}
+
+// Bytes the input files take up in the work directory. Every test case gets its own copy
+// of the shared files.
+function getWorkdirInputBytes(inputFiles, testCases) {
+  const size = (files) => files.reduce((sum, file) => sum + getInputFileSize(file), 0);
+  if (!testCases) return size(inputFiles);
+  return testCases.reduce((sum, testCase) => sum + size(getTestCaseInputFiles(inputFiles, testCase)), 0);
+}
+
+// Convert a glob pattern to a regular expression over relative paths.
+// * and ? do not cross directories, ** matches any number of directories.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Webhook URLs must be absolute http(s) URLs
+function normalizeWebhookUrl(url, field) {
+  if (url === undefined || url === null) return null;
+
+  let parsed = null;
+  try {
+    parsed = typeof url === 'string' && url.length <= MAX_WEBHOOK_URL_LENGTH ? new URL(url) : null;
+  } catch (e) {
+    // Reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError(`${field} must be an http or https URL`);
+  }
+  return url;
+}
+
+// Output files are optional: a list of glob patterns relative to the work directory
+function normalizeOutputPatterns(patterns) {
+  if (patterns === undefined || patterns === null) return null;
+
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    throw new ValidationError('outputFiles must be a non-empty array of glob patterns');
+  }
+  if (patterns.length > MAX_OUTPUT_PATTERNS) {
+    throw new ValidationError(`At most ${MAX_OUTPUT_PATTERNS} outputFiles patterns are allowed`);
+  }
+
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || pattern === '' || pattern.length > 255) {
+      throw new ValidationError('outputFiles patterns must be non-empty strings');
+    }
+    if (pattern.startsWith('/') || pattern.includes('\\') || pattern.split('/').includes('..')) {
+      throw new ValidationError(`outputFiles patterns must be relative to the work directory: ${pattern}`);
+    }
+  }
+  return patterns;
+}
+
+// Standard input is optional; null means the program sees an empty stdin
+function normalizeStdin(stdin) {
+  if (stdin === undefined || stdin === null) return null;
+  if (typeof stdin !== 'string') {
+    throw new ValidationError('stdin must be a string');
+  }
+  if (Buffer.byteLength(stdin) > MAX_STDIN_BYTES) {
+    throw new ValidationError(`stdin must not exceed ${MAX_STDIN_BYTES} bytes`);
+  }
+  return stdin;
+}
+
+// Validate the test cases of a grading submission. Returns null for a normal submission.
+// Per-case timeouts default to, and may not exceed, the job's time limit. The files of each
+// case are checked together with the shared input files they are written next to.
+function normalizeTestCases(testCases, maxTimeoutMs, inputFiles = []) {
+  if (testCases === undefined || testCases === null) return null;
+
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    throw new ValidationError('testCases must be a non-empty array');
+  }
+  if (testCases.length > MAX_TEST_CASES) {
+    throw new ValidationError(`At most ${MAX_TEST_CASES} test cases are allowed`);
+  }
+
+  return testCases.map((testCase, index) => {
+    const label = `testCases[${index}]`;
+    if (!testCase || typeof testCase !== 'object') {
+      throw new ValidationError(`${label} must be an object`);
+    }
+
+    const {
+      name = `Test ${index + 1}`,
+      expectedStdout,
+      comparison = 'exact',
+      tolerance = 1e-6,
+      timeoutMs = maxTimeoutMs,
+      points = 1
+    } = testCase;
+
+    if (typeof name !== 'string') {
+      throw new ValidationError(`${label}.name must be a string`);
+    }
+    if (typeof expectedStdout !== 'string') {
+      throw new ValidationError(`${label}.expectedStdout must be a string`);
+    }
+    if (!COMPARISON_MODES.includes(comparison)) {
+      throw new ValidationError(`${label}.comparison must be one of: ${COMPARISON_MODES.join(', ')}`);
+    }
+    if (comparison === 'regex') {
+      try {
+        new RegExp(expectedStdout);
+      } catch (err) {
+        throw new ValidationError(`${label}.expectedStdout is not a valid regular expression: ${err.message}`);
+      }
+    }
+    if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+      throw new ValidationError(`${label}.tolerance must be a non-negative number`);
+    }
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > maxTimeoutMs) {
+      throw new ValidationError(`${label}.timeoutMs must be an integer between 1 and ${maxTimeoutMs}`);
+    }
+    if (typeof points !== 'number' || !(points >= 0)) {
+      throw new ValidationError(`${label}.points must be a non-negative number`);
+    }
+
+    const caseInputFiles = normalizeInputFiles(testCase.inputFiles, `${label}.inputFiles`);
+    checkTestCaseInputFiles(inputFiles, caseInputFiles, `${label}.inputFiles`);
+
+    return {
+      name,
+      stdin: normalizeStdin(testCase.stdin),
+      args: normalizeArgs(testCase.args, `${label}.args`),
+      inputFiles: caseInputFiles,
+      expectedStdout,
+      comparison,
+      tolerance,
+      timeoutMs,
+      points
+    };
+  });
+}
+
+// The runtime must be one of the configured RUNTIMES
+function normalizeRuntime(runtime) {
+  if (runtime === undefined || runtime === null) return DEFAULT_RUNTIME;
+  if (typeof runtime !== 'string' || !Object.prototype.hasOwnProperty.call(RUNTIMES, runtime)) {
+    throw new ValidationError(`Unknown runtime; available runtimes: ${Object.keys(RUNTIMES).join(', ')}`);
+  }
+  return runtime;
+}
+
+const JVM_SIZE_OPTION_PATTERN = /^-(Xmx|Xms|Xss)(\d+)([kKmMgG]?)$/;
+const JVM_PERCENTAGE_OPTION_PATTERN = /^-XX:(MaxRAMPercentage|InitialRAMPercentage)=(\d+(?:\.\d+)?)$/;
+const MAX_JVM_OPTIONS = 10;
+const MAX_JVM_STACK_MB = 1024; // The largest thread stack size the JVM accepts
+
+// Only heap and stack sizing flags are accepted. Sizes must fit in the memory limit, stack
+// sizes in what the JVM supports, and percentages of the memory limit may be at most 100.
+function normalizeJvmOptions(jvmOptions, memoryMb) {
+  if (jvmOptions === undefined || jvmOptions === null) return [];
+
+  if (!Array.isArray(jvmOptions) || jvmOptions.length > MAX_JVM_OPTIONS) {
+    throw new ValidationError(`jvmOptions must be an array of at most ${MAX_JVM_OPTIONS} strings`);
+  }
+
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  for (const option of jvmOptions) {
+    if (typeof option !== 'string') {
+      throw new ValidationError('jvmOptions must be an array of strings');
+    }
+
+    const size = option.match(JVM_SIZE_OPTION_PATTERN);
+    const percentage = option.match(JVM_PERCENTAGE_OPTION_PATTERN);
+    if (!size && !percentage) {
+      throw new ValidationError(
+        `Unsupported JVM option ${option}; allowed are -Xmx, -Xms, -Xss, -XX:MaxRAMPercentage and -XX:InitialRAMPercentage`
+      );
+    }
+    if (size) {
+      const bytes = parseInt(size[2]) * units[size[3].toLowerCase()];
+      if (bytes > memoryMb * 1024 * 1024) {
+        throw new ValidationError(`${option} exceeds the job's memory limit of ${memoryMb}MB`);
+      }
+      if (size[1] === 'Xss' && bytes > MAX_JVM_STACK_MB * 1024 * 1024) {
+        throw new ValidationError(`${option} exceeds the largest stack size of ${MAX_JVM_STACK_MB}MB`);
+      }
+    }
+    if (percentage && parseFloat(percentage[2]) > 100) {
+      throw new ValidationError(`${option} must be a percentage between 0 and 100`);
+    }
+  }
+
+  return jvmOptions;
+}
+
+// Work out the effective limits of a job: the requested values (or the server defaults)
+// clamped to the API key's ceilings, which fall back to the server maximums. Limits below
+// the minimums are rejected rather than raised past the ceilings.
+function resolveLimits(body, keyRecord) {
+  const ceiling = (value, fallback) => value === null || value === undefined ? fallback : value;
+  const requested = (field, fallback) => {
+    const value = body[field];
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      throw new ValidationError(`${field} must be a positive number`);
+    }
+    return value;
+  };
+
+  const timeoutMs = Math.round(Math.min(
+    requested('timeoutMs', DEFAULT_TIMEOUT_MS),
+    ceiling(keyRecord.max_timeout_ms, MAX_TIMEOUT_MS)
+  ));
+  const maxMemoryMb = ceiling(keyRecord.max_memory_mb, MAX_MEMORY_MB);
+  if (maxMemoryMb < MIN_MEMORY_MB) {
+    throw new ValidationError(`The API key's memory ceiling of ${maxMemoryMb}MB is below the minimum of ${MIN_MEMORY_MB}MB`);
+  }
+  const memoryMb = Math.round(Math.min(requested('memoryMb', DEFAULT_MEMORY_MB), maxMemoryMb));
+  if (memoryMb < MIN_MEMORY_MB) {
+    throw new ValidationError(`memoryMb must be at least ${MIN_MEMORY_MB}`);
+  }
+
+  const maxCpus = ceiling(keyRecord.max_cpus, MAX_CPUS);
+  if (maxCpus < 0.01) {
+    throw new ValidationError(`The API key's CPU ceiling of ${maxCpus} is below the minimum of 0.01`);
+  }
+  const cpus = Math.round(Math.min(requested('cpus', DEFAULT_CPUS), maxCpus) * 100) / 100;
+  if (cpus < 0.01) {
+    throw new ValidationError('cpus must be at least 0.01');
+  }
+
+  return {
+    timeoutMs,
+    memoryMb,
+    cpus,
+    jvmOptions: normalizeJvmOptions(body.jvmOptions, memoryMb)
+  };
+}
+
+// Validate a submission body and normalize it into the fields stored on the job
+function parseJobSpec(body, keyRecord) {
+  const sources = normalizeSources(body);
+  const inputFiles = normalizeInputFiles(body.inputFiles, 'inputFiles', sources.map(source => source.path));
+  const args = normalizeArgs(body.args);
+  const mainClass = resolveMainClass(body, sources);
+  const stdin = normalizeStdin(body.stdin);
+  const limits = resolveLimits(body, keyRecord);
+  const testCases = normalizeTestCases(body.testCases, limits.timeoutMs, inputFiles);
+  const testSources = normalizeTestSources(body);
+  const runtime = normalizeRuntime(body.runtime);
+  const outputPatterns = normalizeOutputPatterns(body.outputFiles);
+  const callbackUrl = normalizeWebhookUrl(body.callbackUrl, 'callbackUrl');
+
+  // Total size of the input files as written to the work directory
+  if (getWorkdirInputBytes(inputFiles, testCases) > MAX_TOTAL_INPUT_BYTES) {
+    throw new ValidationError(testCases
+      ? `Input files must not exceed ${MAX_TOTAL_INPUT_BYTES} bytes in total, counting the shared files once per test case`
+      : `Input files must not exceed ${MAX_TOTAL_INPUT_BYTES} bytes in total`);
+  }
+
+  return {
+    javaCode: body.sources === undefined ? body.javaCode : null,
+    sources,
+    mainClass,
+    args,
+    inputFiles,
+    stdin,
+    testCases,
+    testSources,
+    runtime,
+    outputPatterns,
+    callbackUrl,
+    limits
+  };
+}
+
+// API Routes
+
+// Turn away new work while the server shuts down
+function rejectWhileShuttingDown(req, res, next) {
+  if (shuttingDown) {
+    res.set('Retry-After', '30');
+    return res.status(503).json({ error: 'Server is shutting down, try again shortly' });
+  }
+  next();
+}
+
+// Idempotency keys: a submission sent with an Idempotency-Key header is stored with a hash of
+// the request and its response. A repeat within IDEMPOTENCY_KEY_TTL_HOURS gets the stored
+// response instead of creating new jobs; failed requests release the key for another try.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+function hashIdempotentRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Run a statement and resolve with the number of changed rows
+function runStatement(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve(this.changes);
+    });
+  });
+}
+
+// Middleware reserving the Idempotency-Key of a submission, or answering a repeat of it.
+// Must run after authenticateApiKey and before enforceQuotas, so repeats are not counted.
+async function applyIdempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters long`
+    });
+  }
+
+  const requestHash = hashIdempotentRequest(req);
+  const release = () => runStatement(
+    'DELETE FROM idempotency_keys WHERE api_key = ? AND key = ?',
+    [req.apiKey, key]
+  ).catch(err => console.error('Error releasing idempotency key:', err));
+
+  try {
+    await runStatement(
+      `DELETE FROM idempotency_keys WHERE created_at <= datetime('now', ?)`,
+      [`-${IDEMPOTENCY_KEY_TTL_HOURS} hours`]
+    );
+    const reserved = await runStatement(
+      'INSERT OR IGNORE INTO idempotency_keys (api_key, key, request_hash) VALUES (?, ?, ?)',
+      [req.apiKey, key, requestHash]
+    );
+
+    if (!reserved) {
+      const stored = await new Promise((resolve, reject) => {
+        db.get(
+          'SELECT * FROM idempotency_keys WHERE api_key = ? AND key = ?',
+          [req.apiKey, key],
+          (err, row) => err ? reject(err) : resolve(row)
         );
       });
 
-      // Clean up container if exists
-      if (container) {
-        try {
-          await container.remove({ force: true });
-        } catch (e) {
-          console.error('Error removing container:', e);
-        }
+      if (stored && stored.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (stored && stored.response !== null) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.response_status).json(JSON.parse(stored.response));
+      }
+      if (stored && stored.job_id) {
+        // The client went away while waiting for its job; answer as if the wait was over
+        res.set('Idempotent-Replayed', 'true');
+        return sendWaitedJob(res, await getOwnJob(stored.job_id, req.apiKey));
       }
 
-      if (timeout) clearTimeout(timeout);
-  // No statsInterval to clear
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+  } catch (err) {
+    console.error('Database error:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
 
-      resolve({ success: false, error: error.message });
+  // Keep successful responses; anything else frees the key
+  req.idempotencyKey = key;
+  let responded = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responded = true;
+    if (res.statusCode >= 400) {
+      release();
+    } else {
+      runStatement(
+        'UPDATE idempotency_keys SET response_status = ?, response = ? WHERE api_key = ? AND key = ?',
+        [res.statusCode, JSON.stringify(body), req.apiKey, key]
+      ).catch(err => console.error('Error saving idempotent response:', err));
     }
+    return json(body);
+  };
+  res.on('close', () => {
+    if (!responded && !req.idempotentJobId) release();
   });
+
+  next();
 }
 
-// API Routes
+// Remember the job of an idempotent request, so a repeat finds it even if no response was sent
+async function recordIdempotentJob(req, jobId) {
+  if (!req.idempotencyKey) return;
 
-// Submit a new Java execution job
-app.post('/api/submit', authenticateApiKey, async (req, res) => {
+  req.idempotentJobId = jobId;
   try {
-    const { javaCode, args = [], inputFiles = [] } = req.body;
+    await runStatement(
+      'UPDATE idempotency_keys SET job_id = ? WHERE api_key = ? AND key = ?',
+      [jobId, req.apiKey, req.idempotencyKey]
+    );
+  } catch (err) {
+    console.error('Error saving idempotent job:', err);
+  }
+}
 
-    if (!javaCode) {
-      return res.status(400).json({ error: 'Java code is required' });
-    }
+// INSERT statement and parameters storing a validated job
+function getJobInsert(jobId, spec, apiKey, batchId = null) {
+  return [
+    `INSERT INTO jobs (id, api_key, java_code, sources, main_class, args, input_files, stdin, test_cases,
+                       test_sources, runtime, output_patterns, callback_url, limits, batch_id, status) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'not_started')`,
+    [
+      jobId,
+      apiKey,
+      spec.javaCode,
+      spec.javaCode === null ? JSON.stringify(spec.sources) : null,
+      spec.mainClass,
+      JSON.stringify(spec.args),
+      JSON.stringify(spec.inputFiles),
+      spec.stdin,
+      spec.testCases ? JSON.stringify(spec.testCases) : null,
+      spec.testSources ? JSON.stringify(spec.testSources) : null,
+      spec.runtime,
+      spec.outputPatterns ? JSON.stringify(spec.outputPatterns) : null,
+      spec.callbackUrl,
+      JSON.stringify(spec.limits),
+      batchId
+    ]
+  ];
+}
 
-    const jobId = uuidv4();
+// Insert a validated job and queue it. Resolves with the job ID.
+function createJob(spec, apiKey, keyRecord) {
+  const jobId = uuidv4();
+  const [sql, params] = getJobInsert(jobId, spec, apiKey);
 
-    // Insert job into database
-    db.run(
-      `INSERT INTO jobs (id, api_key, java_code, args, input_files, status) 
-       VALUES (?, ?, ?, ?, ?, 'not_started')`,
-      [
-        jobId,
-        req.apiKey,
-        javaCode,
-        JSON.stringify(args),
-        JSON.stringify(inputFiles)
-      ],
-      (err) => {
-        if (err) {
-          console.error('Database error:', err);
-          return res.status(500).json({ error: 'Failed to create job' });
-        }
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) return reject(err);
 
-        // Execute job asynchronously
-        executeJavaInDocker(jobId).catch(console.error);
+      // Queue the job; a worker picks it up when a slot is free
+      enqueueJob(jobId, getJobOwner(apiKey, keyRecord));
+      resolve(jobId);
+    });
+  });
+}
 
-        res.json({ 
-          jobId, 
-          status: 'not_started',
-          message: 'Job submitted successfully' 
-        });
-      }
-    );
+// How long a synchronous request waits for its job, from the waitMs query parameter
+function resolveWaitMs(waitMs) {
+  if (waitMs === undefined) return Math.min(DEFAULT_WAIT_MS, MAX_WAIT_MS);
+
+  const value = Number(waitMs);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new ValidationError('waitMs must be a positive integer');
+  }
+  return Math.min(value, MAX_WAIT_MS);
+}
+
+// Resolve once the job is finished, the wait time is up, or the client went away
+function waitForJob(jobId, waitMs, res) {
+  return new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timer);
+      jobEvents.off(jobId, onEvent);
+      res.off('close', finish);
+      resolve();
+    };
+    const onEvent = (event) => {
+      if (event.type === 'done') finish();
+    };
+
+    const timer = setTimeout(finish, waitMs);
+    jobEvents.on(jobId, onEvent);
+    res.on('close', finish);
+
+    // It may have finished already
+    const buffer = jobEventBuffers.get(jobId);
+    if (buffer && buffer.ended) finish();
+  });
+}
+
+// Respond with a job that was waited for. Still running: 202 with the job so far, to be
+// polled from its URL.
+function sendWaitedJob(res, job) {
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    res.status(202).location(`/api/job/${job.id}`);
+  }
+  res.json(buildJobResponse(job));
+}
+
+// Create a job, and with wait set hold the request until it is finished or waitMs is up
+async function submitJob(req, res, wait) {
+  try {
+    const spec = parseJobSpec(req.body || {}, req.apiKeyRecord);
+    const waitMs = wait ? resolveWaitMs(req.query.waitMs) : null;
+    await checkWebhookUrl(spec.callbackUrl, 'callbackUrl');
+
+    let jobId;
+    try {
+      jobId = await createJob(spec, req.apiKey, req.apiKeyRecord);
+    } catch (err) {
+      console.error('Database error:', err);
+      return res.status(500).json({ error: 'Failed to create job' });
+    }
+    await recordIdempotentJob(req, jobId);
+
+    if (!wait) {
+      return res.json({ 
+        jobId, 
+        status: 'not_started',
+        queuePosition: getQueuePosition(jobId),
+        limits: spec.limits,
+        message: 'Job submitted successfully' 
+      });
+    }
+
+    await waitForJob(jobId, waitMs, res);
+    if (res.destroyed) return;
+
+    sendWaitedJob(res, await getOwnJob(jobId, req.apiKey));
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Submit error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
+}
+
+// Submit a new Java execution job. With ?wait=true it responds like /api/execute.
+app.post('/api/submit', rejectWhileShuttingDown, authenticateApiKey, applyIdempotencyKey, enforceQuotas, (req, res) => {
+  submitJob(req, res, req.query.wait === 'true');
+});
+
+// Run a job and respond with its result, without polling
+app.post('/api/execute', rejectWhileShuttingDown, authenticateApiKey, applyIdempotencyKey, enforceQuotas, (req, res) => {
+  submitJob(req, res, true);
 });
 
 // Get job status and results
@@ -430,39 +3253,477 @@ app.get('/api/job/:jobId', authenticateApiKey, (req, res) => {
         return res.status(404).json({ error: 'Job not found' });
       }
 
-      const response = {
-        jobId: job.id,
-        status: job.status,
-        createdAt: job.created_at,
-        startedAt: job.started_at,
-        completedAt: job.completed_at
-      };
+      res.json(buildJobResponse(job));
+    }
+  );
+});
 
-      if (job.status === 'done') {
-        response.result = {
-          stdout: job.stdout || '',
-          stderr: job.stderr || '',
-          crashed: job.crashed === 1,
-          timedOut: job.timed_out === 1,
-          memoryUsageMB: job.memory_usage_mb,
-          cpuPercentMax: job.cpu_percent_max,
-          executionTimeMs: job.execution_time_ms
-        };
+// Look up a job of the given API key
+function getOwnJob(jobId, apiKey) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM jobs WHERE id = ? AND api_key = ?',
+      [jobId, apiKey],
+      (err, job) => err ? reject(err) : resolve(job)
+    );
+  });
+}
+
+const CANCEL_WAIT_MS = 10000; // How long a cancel request waits for a running job to stop
+
+// Cancel a job: a queued job is taken off the queue, a running one has its processes
+// killed and is recorded as cancelled with the output it produced so far
+async function stopJob(job) {
+  const running = runningJobs.get(job.id);
+  if (running) {
+    running.controller.abort();
+    if (job.container_id) {
+      await killContainerProcesses(docker.getContainer(job.container_id));
+    }
+    await Promise.race([running.finished, new Promise(resolve => setTimeout(resolve, CANCEL_WAIT_MS))]);
+    return;
+  }
+
+  // Queued, or running in a process that no longer exists
+  dequeueJob(job.id);
+  if (job.container_id) {
+    // Jobs recorded before volume names were stored always had a volume of their own
+    await removeJobContainer(docker.getContainer(job.container_id), job.volume_name || `${PROJECT_LABEL}-${job.id}`);
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE jobs SET status = 'cancelled', result_status = 'cancelled', completed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('not_started', 'running')`,
+      [job.id],
+      (err) => err ? reject(err) : resolve()
+    );
+  });
+  await publishJobDone(job.id);
+  queueJobWebhooks(job.id);
+}
+
+async function cancelJob(req, res) {
+  try {
+    const job = await getOwnJob(req.params.jobId, req.apiKey);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+    }
+
+    await stopJob(job);
+    res.json(buildJobResponse(await getOwnJob(job.id, req.apiKey)));
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+}
+
+app.delete('/api/job/:jobId', authenticateApiKey, cancelJob);
+app.post('/api/job/:jobId/cancel', authenticateApiKey, cancelJob);
+
+// Stream the events of a job as Server-Sent Events: status changes, phases, live
+// stdout/stderr chunks and finally the complete result. Clients resume after a
+// reconnect with the Last-Event-ID header or the lastEventId query parameter.
+app.get('/api/job/:jobId/stream', authenticateApiKey, async (req, res) => {
+  let job;
+  try {
+    job = await getOwnJob(req.params.jobId, req.apiKey);
+  } catch (error) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (event.id) res.write(`id: ${event.id}\n`);
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const buffer = jobEventBuffers.get(job.id);
+  if (!buffer) {
+    // The job has not started yet, or its events are no longer buffered
+    if (job.status !== 'not_started') {
+      if (FINISHED_STATUSES.includes(job.status)) send({ type: 'done', data: buildJobResponse(job) });
+      else send({ type: 'status', data: { status: job.status } });
+      return res.end();
+    }
+    send({ type: 'status', data: { status: job.status, queuePosition: getQueuePosition(job.id) } });
+  } else {
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+    for (const event of buffer.events) {
+      if (event.id > lastEventId) send(event);
+    }
+    if (buffer.ended) return res.end();
+  }
+
+  const onEvent = (event) => {
+    send(event);
+    if (event.type === 'done') res.end();
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  jobEvents.on(job.id, onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.id, onEvent);
+  });
+});
+
+// List the output files of a job
+app.get('/api/job/:jobId/files', authenticateApiKey, async (req, res) => {
+  try {
+    const job = await getOwnJob(req.params.jobId, req.apiKey);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const files = await new Promise((resolve, reject) => {
+      db.all(
+        'SELECT path, size FROM job_files WHERE job_id = ? ORDER BY path',
+        [job.id],
+        (err, rows) => err ? reject(err) : resolve(rows)
+      );
+    });
+    const summary = job.output_files ? JSON.parse(job.output_files) : null;
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      files: files.map(file => ({
+        path: file.path,
+        size: file.size,
+        url: `/api/job/${job.id}/files/${file.path.split('/').map(encodeURIComponent).join('/')}`
+      })),
+      totalBytes: files.reduce((sum, file) => sum + file.size, 0),
+      skipped: summary ? summary.skipped : [],
+      zipUrl: `/api/job/${job.id}/files.zip`
+    });
+  } catch (error) {
+    console.error('Error listing output files:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Download all output files of a job as a zip archive
+app.get('/api/job/:jobId/files.zip', authenticateApiKey, async (req, res) => {
+  try {
+    const job = await getOwnJob(req.params.jobId, req.apiKey);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const files = await new Promise((resolve, reject) => {
+      db.all(
+        'SELECT path, content FROM job_files WHERE job_id = ? ORDER BY path',
+        [job.id],
+        (err, rows) => err ? reject(err) : resolve(rows)
+      );
+    });
+
+    res.attachment(`${job.id}-files.zip`);
+    const zip = archiver('zip');
+    zip.on('error', (err) => {
+      console.error('Error creating zip archive:', err);
+      res.destroy(err);
+    });
+    zip.pipe(res);
+    for (const file of files) {
+      zip.append(file.content, { name: file.path });
+    }
+    await zip.finalize();
+  } catch (error) {
+    console.error('Error downloading output files:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Download a single output file of a job
+app.get('/api/job/:jobId/files/*', authenticateApiKey, async (req, res) => {
+  try {
+    const job = await getOwnJob(req.params.jobId, req.apiKey);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const file = await new Promise((resolve, reject) => {
+      db.get(
+        'SELECT path, content FROM job_files WHERE job_id = ? AND path = ?',
+        [job.id, req.params[0]],
+        (err, row) => err ? reject(err) : resolve(row)
+      );
+    });
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.attachment(path.posix.basename(file.path));
+    res.send(file.content);
+  } catch (error) {
+    console.error('Error downloading output file:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List the webhook deliveries of a job
+app.get('/api/job/:jobId/webhooks', authenticateApiKey, async (req, res) => {
+  try {
+    const job = await getOwnJob(req.params.jobId, req.apiKey);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const deliveries = await new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY created_at, rowid',
+        [job.id],
+        (err, rows) => err ? reject(err) : resolve(rows)
+      );
+    });
+
+    res.json({ jobId: job.id, deliveries: deliveries.map(buildDeliveryResponse) });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Send a webhook delivery again, as a new delivery with the same URL and payload
+app.post('/api/job/:jobId/webhooks/:deliveryId/replay', authenticateApiKey, async (req, res) => {
+  try {
+    const delivery = await getWebhookDelivery(req.params.deliveryId);
+    if (!delivery || delivery.job_id !== req.params.jobId || delivery.api_key !== req.apiKey) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const deliveryId = await createWebhookDelivery(delivery.job_id, delivery.url, delivery.payload, delivery.id);
+    res.status(202).json(buildDeliveryResponse(await getWebhookDelivery(deliveryId)));
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Show the API key's default webhook and signing secret
+app.get('/api/webhook', authenticateApiKey, async (req, res) => {
+  try {
+    res.json({
+      url: req.apiKeyRecord.webhook_url || null,
+      secret: await getWebhookSecret(req.apiKey)
+    });
+  } catch (error) {
+    console.error('Error reading webhook settings:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Set or clear the API key's default webhook, called for every job of the key
+app.put('/api/webhook', authenticateApiKey, async (req, res) => {
+  let url;
+  try {
+    url = normalizeWebhookUrl((req.body || {}).url, 'url');
+    await checkWebhookUrl(url, 'url');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE api_keys SET webhook_url = ? WHERE key = ?', [url, req.apiKey], (err) => err ? reject(err) : resolve());
+    });
+    res.json({ url, secret: await getWebhookSecret(req.apiKey) });
+  } catch (error) {
+    console.error('Error updating webhook settings:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+const MAX_BATCH_JOBS = parseInt(process.env.MAX_BATCH_JOBS) || 200;
+
+// Validate a batch body: either a list of jobs, or one job with variants whose fields
+// replace those of the job.
+async function parseBatch(req, res, next) {
+  try {
+    const body = req.body || {};
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    let field, entries, toJobBody;
+    if (body.jobs !== undefined) {
+      if (body.job !== undefined || body.variants !== undefined) {
+        throw new ValidationError('Send either jobs, or job with variants, not both');
       }
+      field = 'jobs';
+      entries = body.jobs;
+      toJobBody = (entry) => entry;
+    } else if (body.job !== undefined) {
+      if (!isObject(body.job)) {
+        throw new ValidationError('job must be an object');
+      }
+      field = 'variants';
+      entries = body.variants;
+      toJobBody = (entry) => ({ ...body.job, ...entry });
+    } else {
+      throw new ValidationError('jobs, or job with variants, is required');
+    }
 
-      res.json(response);
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_BATCH_JOBS) {
+      throw new ValidationError(`${field} must be an array of 1 to ${MAX_BATCH_JOBS} entries`);
     }
-  );
+
+    req.batchSpecs = entries.map((entry, index) => {
+      if (!isObject(entry)) {
+        throw new ValidationError(`${field}[${index}] must be an object`);
+      }
+      try {
+        return parseJobSpec(toJobBody(entry), req.apiKeyRecord);
+      } catch (err) {
+        if (err instanceof ValidationError) throw new ValidationError(`${field}[${index}]: ${err.message}`);
+        throw err;
+      }
+    });
+
+    const callbackUrls = new Set(req.batchSpecs.map(spec => spec.callbackUrl).filter(Boolean));
+    for (const url of callbackUrls) {
+      await checkWebhookUrl(url, 'callbackUrl');
+    }
+    next();
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Batch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Look up a batch of the given API key, with its jobs in submission order
+async function getOwnBatch(batchId, apiKey) {
+  const batch = await new Promise((resolve, reject) => {
+    db.get(
+      'SELECT * FROM batches WHERE id = ? AND api_key = ?',
+      [batchId, apiKey],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+  if (!batch) return null;
+
+  batch.jobs = await new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM jobs WHERE batch_id = ? ORDER BY rowid',
+      [batchId],
+      (err, rows) => err ? reject(err) : resolve(rows)
+    );
+  });
+  return batch;
+}
+
+// Progress of a batch (jobs per status) and the results of its jobs
+function buildBatchResponse(batch) {
+  const counts = { not_started: 0, running: 0, done: 0, cancelled: 0, interrupted: 0 };
+  for (const job of batch.jobs) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+
+  return {
+    batchId: batch.id,
+    jobCount: batch.job_count,
+    finished: batch.jobs.every(job => FINISHED_STATUSES.includes(job.status)),
+    counts,
+    createdAt: batch.created_at,
+    jobs: batch.jobs.map(buildJobResponse)
+  };
+}
+
+// Submit many jobs at once. They are stored in one transaction and queued in order.
+app.post('/api/batch', rejectWhileShuttingDown, authenticateApiKey, applyIdempotencyKey, parseBatch, enforceQuotas, async (req, res) => {
+  const batchId = uuidv4();
+  const jobIds = req.batchSpecs.map(() => uuidv4());
+
+  try {
+    await runTransaction([
+      ['INSERT INTO batches (id, api_key, job_count) VALUES (?, ?, ?)', [batchId, req.apiKey, jobIds.length]],
+      ...req.batchSpecs.map((spec, index) => getJobInsert(jobIds[index], spec, req.apiKey, batchId))
+    ]);
+  } catch (err) {
+    console.error('Database error:', err);
+    return res.status(500).json({ error: 'Failed to create batch' });
+  }
+
+  const owner = getJobOwner(req.apiKey, req.apiKeyRecord);
+  for (const jobId of jobIds) {
+    enqueueJob(jobId, owner);
+  }
+
+  res.json({
+    batchId,
+    jobIds,
+    status: 'not_started',
+    message: 'Batch submitted successfully'
+  });
+});
+
+// Get the progress and results of a batch
+app.get('/api/batch/:batchId', authenticateApiKey, async (req, res) => {
+  try {
+    const batch = await getOwnBatch(req.params.batchId, req.apiKey);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(buildBatchResponse(batch));
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
+// Cancel every job of a batch that is not finished yet
+async function cancelBatch(req, res) {
+  try {
+    const batch = await getOwnBatch(req.params.batchId, req.apiKey);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const unfinished = batch.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+    if (unfinished.length === 0) {
+      return res.status(409).json({ error: 'All jobs of the batch are already finished' });
+    }
+
+    // Take the queued jobs off the queue first, so none of them starts in the meantime
+    for (const job of unfinished) {
+      dequeueJob(job.id);
+    }
+    await Promise.all(unfinished.map(stopJob));
+
+    res.json(buildBatchResponse(await getOwnBatch(batch.id, req.apiKey)));
+  } catch (error) {
+    console.error('Error cancelling batch:', error);
+    res.status(500).json({ error: 'Failed to cancel batch' });
+  }
+}
+
+app.delete('/api/batch/:batchId', authenticateApiKey, cancelBatch);
+app.post('/api/batch/:batchId/cancel', authenticateApiKey, cancelBatch);
+
 // List all jobs for the API key
 app.get('/api/jobs', authenticateApiKey, (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   const offset = parseInt(req.query.offset) || 0;
 
   db.all(
-    `SELECT id, status, created_at, started_at, completed_at, 
-            crashed, timed_out, execution_time_ms 
+    `SELECT id, status, runtime, created_at, started_at, completed_at, 
+            crashed, timed_out, execution_time_ms, batch_id 
      FROM jobs 
      WHERE api_key = ? 
      ORDER BY created_at DESC 
@@ -477,45 +3738,153 @@ app.get('/api/jobs', authenticateApiKey, (req, res) => {
   );
 });
 
+// List the Java runtimes jobs can use
+app.get('/api/runtimes', authenticateApiKey, (req, res) => {
+  res.json({
+    default: DEFAULT_RUNTIME,
+    runtimes: Object.entries(RUNTIMES).map(([name, runtime]) => ({
+      name,
+      image: runtime.image,
+      description: runtime.description || null
+    }))
+  });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: PROJECT_LABEL });
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting_down' : 'healthy',
+    service: PROJECT_LABEL,
+    queue: {
+      waiting: jobQueue.length,
+      running: runningJobs.size,
+      workers: JOB_WORKERS
+    },
+    warmPool: getWarmPoolStats()
+  });
 });
 
+let server = null;
+
 // Start server
 async function start() {
   try {
+    if (!RUNTIMES[DEFAULT_RUNTIME]) {
+      throw new Error(`DEFAULT_RUNTIME ${DEFAULT_RUNTIME} is not one of the configured runtimes`);
+    }
+
     // Initialize database
     await initDatabase();
     
     // Clean up any orphaned containers
     await cleanupOrphanedContainers();
+
+    // Fill the warm container pools in the background
+    initWarmPools();
+
+    await initCompileCache();
+
+    // Settle jobs that were cut off by the restart, then rebuild the job queue
+    await recoverInterruptedJobs();
+    await restoreJobQueue();
+
+    // Continue retrying webhooks that had not been delivered yet
+    await resumeWebhookDeliveries();
     
-    app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       console.log(`Java Executor Service running on port ${PORT}`);
       if (process.env.NODE_ENV !== 'production') {
         console.log(`Default test API key: test-api-key-123`);
       }
     });
+
+    // Start working through any restored jobs
+    processQueue();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  await cleanupOrphanedContainers();
-  db.close();
-  process.exit(0);
-});
+// Graceful shutdown: stop accepting and starting jobs, give running jobs SHUTDOWN_GRACE_MS
+// to finish, then stop the rest, which records them as interrupted with their output so far.
+// Queued jobs stay queued and run after the next start. A second signal exits immediately.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully...`);
+
+  const waitFor = (promise, ms) => Promise.race([
+    promise.then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), ms))
+  ]);
+
+  if (runningJobs.size > 0) {
+    console.log(`Waiting up to ${SHUTDOWN_GRACE_MS}ms for ${runningJobs.size} running job(s)...`);
+    const drained = Promise.all([...runningJobs.values()].map(job => job.finished));
+
+    if (!await waitFor(drained, SHUTDOWN_GRACE_MS)) {
+      console.log(`Stopping ${runningJobs.size} job(s) that did not finish in time`);
+      for (const job of runningJobs.values()) {
+        job.controller.abort(SHUTDOWN_REASON);
+      }
+      await waitFor(drained, SHUTDOWN_STOP_MS);
+    }
+  }
+
+  // Jobs that could not record their own result
+  await new Promise((resolve) => {
+    db.run(
+      `UPDATE jobs SET status = 'interrupted', result_status = 'interrupted', stderr = ?,
+         completed_at = CURRENT_TIMESTAMP
+       WHERE status = 'running'`,
+      [SHUTDOWN_MESSAGE],
+      (err) => {
+        if (err) console.error('Error marking jobs as interrupted:', err);
+        resolve();
+      }
+    );
+  });
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully...');
   await cleanupOrphanedContainers();
-  db.close();
-  process.exit(0);
-});
+  if (server) server.close();
+  if (transactionDb !== db) transactionDb.close();
+  db.close(() => process.exit(0));
+}
+
+// Run if executed directly
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  start();
+}
 
-start();
\ No newline at end of file
+module.exports = {
+  app,
+  ValidationError,
+  buildContainerConfig,
+  buildWorkdirVolumeConfig,
+  buildRunCommand,
+  normalizeArgs,
+  outputMatches,
+  parseJavacDiagnostics,
+  parseJavaException,
+  checkWebhookUrl,
+  normalizeInputFiles,
+  findMainClasses,
+  resolveLimits,
+  parseJobSpec,
+  isCacheableCompile,
+  jobQueue,
+  runningJobs,
+  enqueueJob,
+  dequeueJob,
+  countRunningJobs,
+  countQueuedJobs,
+  pickNextJob,
+  getQueuePosition
+};
\ No newline at end of file
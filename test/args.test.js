@@ -0,0 +1,49 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError, buildRunCommand, normalizeArgs } = require('../server');
+
+test('arguments are separate argv entries, never parsed by a shell', () => {
+  const args = ['; rm -rf /app', '$(cat /etc/passwd)', 'a b'];
+
+  assert.deepStrictEqual(buildRunCommand('Main', args), [
+    'java', '-cp', '/app/classes', 'Main', '; rm -rf /app', '$(cat /etc/passwd)', 'a b'
+  ]);
+});
+
+test('JVM options go before the main class', () => {
+  assert.deepStrictEqual(buildRunCommand('app.Main', ['x'], ['-Xmx256m']), [
+    'java', '-Xmx256m', '-cp', '/app/classes', 'app.Main', 'x'
+  ]);
+});
+
+test('whitespace in arguments is preserved', () => {
+  const args = ['  leading', 'trailing  ', 'tab\there', 'new\nline', ''];
+
+  assert.deepStrictEqual(normalizeArgs(args), args);
+  assert.deepStrictEqual(buildRunCommand('Main', args).slice(4), args);
+});
+
+test('missing arguments are an empty list', () => {
+  assert.deepStrictEqual(normalizeArgs(undefined), []);
+  assert.deepStrictEqual(normalizeArgs(null), []);
+});
+
+test('non-string arguments are rejected', () => {
+  assert.throws(() => normalizeArgs('a b'), ValidationError);
+  assert.throws(() => normalizeArgs(['a', 1]), { message: 'args[1] must be a string' });
+  assert.throws(() => normalizeArgs([null]), ValidationError);
+  assert.throws(() => normalizeArgs([['nested']]), ValidationError);
+});
+
+test('arguments with NUL characters are rejected', () => {
+  assert.throws(() => normalizeArgs(['ok', 'a\0b']), { message: 'args[1] must not contain NUL characters' });
+});
+
+test('oversized argument lists are rejected', () => {
+  assert.throws(() => normalizeArgs(new Array(101).fill('x')), ValidationError);
+  assert.throws(() => normalizeArgs(['x'.repeat(4097)]), ValidationError);
+  assert.throws(() => normalizeArgs(new Array(20).fill('x'.repeat(4000))), ValidationError);
+  assert.strictEqual(normalizeArgs(new Array(100).fill('x')).length, 100);
+});
@@ -0,0 +1,22 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { isCacheableCompile } = require('../server');
+
+const compile = (fields) => ({ exitCode: 0, timedOut: false, cancelled: false, ...fields });
+
+test('successful compiles and compile errors are cached', () => {
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: 0 })), true);
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: 1 })), true);
+});
+
+test('compiles that ran out of memory are not cached', () => {
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: 4 })), false); // OutOfMemoryError
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: 137 })), false); // Killed
+});
+
+test('compiles that were cut short are not cached', () => {
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: null, timedOut: true })), false);
+  assert.strictEqual(isCacheableCompile(compile({ exitCode: null, cancelled: true })), false);
+});
@@ -0,0 +1,58 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJavacDiagnostics } = require('../server');
+
+test('errors get their file, position, source line and extra detail', () => {
+  const output = [
+    'Main.java:3: error: cannot find symbol',
+    '        System.out.println(x);',
+    '                           ^',
+    '  symbol:   variable x',
+    '  location: class Main',
+    '1 error'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseJavacDiagnostics(output), [{
+    file: 'Main.java',
+    line: 3,
+    column: 28,
+    severity: 'error',
+    message: 'cannot find symbol\nsymbol:   variable x\nlocation: class Main',
+    code: '        System.out.println(x);'
+  }]);
+});
+
+test('warnings and errors in package directories are all reported', () => {
+  const output = [
+    'com/acme/App.java:5: warning: [rawtypes] found raw type: List',
+    '    List items;',
+    '    ^',
+    'com/acme/App.java:9: error: \';\' expected',
+    '    int x = 1',
+    '             ^',
+    '1 error',
+    '1 warning'
+  ].join('\r\n');
+
+  assert.deepStrictEqual(
+    parseJavacDiagnostics(output).map(({ file, line, column, severity }) => ({ file, line, column, severity })),
+    [
+      { file: 'com/acme/App.java', line: 5, column: 5, severity: 'warning' },
+      { file: 'com/acme/App.java', line: 9, column: 14, severity: 'error' }
+    ]
+  );
+});
+
+test('diagnostics without a source position have no file or line', () => {
+  assert.deepStrictEqual(parseJavacDiagnostics('Note: Main.java uses unchecked or unsafe operations.\nerror: file not found: X.java'), [
+    { file: null, line: null, column: null, severity: 'note', message: 'Main.java uses unchecked or unsafe operations.', code: null },
+    { file: null, line: null, column: null, severity: 'error', message: 'file not found: X.java', code: null }
+  ]);
+});
+
+test('no output has no diagnostics', () => {
+  assert.deepStrictEqual(parseJavacDiagnostics(''), []);
+  assert.deepStrictEqual(parseJavacDiagnostics(null), []);
+});
@@ -0,0 +1,73 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseJavaException } = require('../server');
+
+test('uncaught exceptions keep only the frames in the submitted sources', () => {
+  const stderr = [
+    'Exception in thread "main" java.lang.ArrayIndexOutOfBoundsException: Index 5 out of bounds for length 3',
+    '\tat com.acme.Grid.get(Grid.java:12)',
+    '\tat java.base/java.util.ArrayList.forEach(ArrayList.java:1541)',
+    '\tat Main.main(Main.java:7)'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseJavaException(stderr, ['Main.java', 'com/acme/Grid.java']), {
+    thread: 'main',
+    className: 'java.lang.ArrayIndexOutOfBoundsException',
+    message: 'Index 5 out of bounds for length 3',
+    frames: [
+      { className: 'com.acme.Grid', method: 'get', file: 'com/acme/Grid.java', line: 12 },
+      { className: 'Main', method: 'main', file: 'Main.java', line: 7 }
+    ],
+    cause: null
+  });
+});
+
+test('causes are followed and suppressed exceptions skipped', () => {
+  const stderr = [
+    'Exception in thread "worker" java.lang.RuntimeException: wrapped',
+    '\tat Main.run(Main.java:20)',
+    '\tSuppressed: java.io.IOException: close failed',
+    '\t\tat Main.close(Main.java:30)',
+    'Caused by: java.lang.IllegalStateException',
+    '\tat Main.load(Main.java:10)',
+    '\t... 1 more'
+  ].join('\n');
+
+  const exception = parseJavaException(stderr, ['Main.java']);
+  assert.strictEqual(exception.thread, 'worker');
+  assert.deepStrictEqual(exception.frames.map(frame => frame.line), [20]);
+  assert.deepStrictEqual(exception.cause, {
+    className: 'java.lang.IllegalStateException',
+    message: null,
+    frames: [{ className: 'Main', method: 'load', file: 'Main.java', line: 10 }],
+    cause: null
+  });
+});
+
+test('multi-line messages are kept and the last exception is reported', () => {
+  const stderr = [
+    'Exception in thread "Thread-0" java.lang.Error: first',
+    '\tat Main.lambda$main$0(Main.java:3)',
+    'Exception in thread "main" java.lang.IllegalArgumentException: line one',
+    'line two',
+    '\tat Main.main(Main.java:5)'
+  ].join('\n');
+
+  const exception = parseJavaException(stderr, ['Main.java']);
+  assert.strictEqual(exception.thread, 'main');
+  assert.strictEqual(exception.message, 'line one\nline two');
+  assert.deepStrictEqual(exception.frames, [{ className: 'Main', method: 'main', file: 'Main.java', line: 5 }]);
+});
+
+test('sources outside their package directory are matched by file name', () => {
+  const stderr = 'Exception in thread "main" java.lang.NullPointerException\n\tat com.acme.App.main(App.java:4)';
+
+  assert.strictEqual(parseJavaException(stderr, ['src/App.java']).frames[0].file, 'src/App.java');
+});
+
+test('stderr without an uncaught exception has none', () => {
+  assert.strictEqual(parseJavaException('warning: something\n', ['Main.java']), null);
+  assert.strictEqual(parseJavaException('', ['Main.java']), null);
+});
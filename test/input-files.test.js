@@ -0,0 +1,111 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.MAX_TOTAL_INPUT_BYTES = String(1024);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError, normalizeInputFiles, parseJobSpec } = require('../server');
+
+const javaCode = 'public class Main { public static void main(String[] args) {} }';
+const file = (name, bytes) => ({ name, content: 'x'.repeat(bytes) });
+const testCase = (inputFiles = []) => ({ expectedStdout: '', inputFiles });
+
+// Assert that the input files are rejected with a ValidationError with the given message
+function assertRejected(files, message, sourcePaths = []) {
+  assert.throws(
+    () => normalizeInputFiles(files, 'inputFiles', sourcePaths),
+    (err) => err instanceof ValidationError && err.message === message
+  );
+}
+
+test('input files keep their paths and default to utf8', () => {
+  assert.deepStrictEqual(
+    normalizeInputFiles([{ name: 'data/level1.txt', content: 'abc' }, { name: 'img.png', content: 'AAE=', encoding: 'base64' }]),
+    [
+      { name: 'data/level1.txt', content: 'abc', encoding: 'utf8' },
+      { name: 'img.png', content: 'AAE=', encoding: 'base64' }
+    ]
+  );
+});
+
+test('empty input files are allowed', () => {
+  assert.deepStrictEqual(normalizeInputFiles([{ name: 'empty.txt', content: '' }]), [
+    { name: 'empty.txt', content: '', encoding: 'utf8' }
+  ]);
+});
+
+test('input file paths may not leave the work directory', () => {
+  assertRejected([file('../x', 1)], 'inputFiles[0].name is not a valid path: ../x');
+  assertRejected([file('data/../../x', 1)], 'inputFiles[0].name is not a valid path: data/../../x');
+  assertRejected([file('./x', 1)], 'inputFiles[0].name is not a valid path: ./x');
+  assertRejected([file('data\\x', 1)], 'inputFiles[0].name is not a valid path: data\\x');
+  assertRejected([file('data//x', 1)], 'inputFiles[0].name is not a valid path: data//x');
+});
+
+test('input file paths must be relative', () => {
+  assertRejected([file('/etc/passwd', 1)], 'inputFiles[0].name must be a relative path: /etc/passwd');
+  assertRejected([file('C:/x', 1)], 'inputFiles[0].name must be a relative path: C:/x');
+});
+
+test('input files may not use the directories of the executor', () => {
+  assertRejected([file('classes/Main.class', 1)], 'inputFiles[0].name uses a reserved directory (classes/): classes/Main.class');
+});
+
+test('input files may not clash with sources, directories or each other', () => {
+  assertRejected([file('Main.java', 1)], 'inputFiles[0].name clashes with a source file: Main.java', ['Main.java']);
+  assertRejected([file('com', 1)], 'inputFiles[0].name clashes with a directory: com', ['com/acme/App.java']);
+  assertRejected([file('a.txt', 1), file('a.txt', 2)], 'Duplicate file name in inputFiles: a.txt');
+  assertRejected([file('data', 1), file('data/x', 1)], 'inputFiles[1].name is inside data, which is a file');
+  assertRejected([file('data/x', 1), file('data', 1)], 'inputFiles[1].name clashes with a directory: data');
+});
+
+test('input files must have a valid encoding and content', () => {
+  assertRejected([{ name: 'a.bin', content: 'not base64!', encoding: 'base64' }], 'inputFiles[0].content is not valid base64');
+  assertRejected([{ name: 'a.bin', content: 'AA', encoding: 'hex' }], 'inputFiles[0].encoding must be "utf8" or "base64"');
+  assertRejected([{ name: 'a.txt' }], 'inputFiles[0] must have a string name and content');
+  assertRejected({ name: 'a.txt', content: '' }, 'inputFiles must be an array of { name, content }');
+});
+
+test('input files are limited in number and size', () => {
+  assertRejected(Array.from({ length: 101 }, (_, i) => file(`f${i}`, 0)), 'At most 100 files are allowed in inputFiles');
+  assertRejected([file('big.txt', 1025)], 'inputFiles[0] is larger than 1024 bytes');
+  // The size limit applies to the decoded content
+  assert.doesNotThrow(() => normalizeInputFiles([{ name: 'a.bin', content: 'A'.repeat(1364), encoding: 'base64' }]));
+});
+
+test('shared input files count once per test case', () => {
+  const body = { javaCode, inputFiles: [file('data.txt', 300)] };
+
+  parseJobSpec({ ...body, testCases: [testCase(), testCase(), testCase()] }, {});
+  assert.throws(
+    () => parseJobSpec({ ...body, testCases: [testCase(), testCase(), testCase(), testCase()] }, {}),
+    (err) => err instanceof ValidationError && /counting the shared files once per test case/.test(err.message)
+  );
+});
+
+test('a test case file replaces the shared file of the same name', () => {
+  const body = {
+    javaCode,
+    inputFiles: [file('data.txt', 500)],
+    testCases: [testCase([file('data.txt', 10)]), testCase([file('data.txt', 10)])]
+  };
+
+  assert.doesNotThrow(() => parseJobSpec(body, {}));
+});
+
+test('input files without test cases count once', () => {
+  assert.doesNotThrow(() => parseJobSpec({ javaCode, inputFiles: [file('data.txt', 1024)] }, {}));
+  assert.throws(
+    () => parseJobSpec({ javaCode, inputFiles: [file('a.txt', 1000), file('b.txt', 100)] }, {}),
+    ValidationError
+  );
+});
+
+test('test case files may not turn a shared file into a directory or the reverse', () => {
+  for (const [shared, own] of [['a', 'a/b'], ['a/b', 'a']]) {
+    assert.throws(
+      () => parseJobSpec({ javaCode, inputFiles: [file(shared, 1)], testCases: [testCase([file(own, 1)])] }, {}),
+      (err) => err instanceof ValidationError &&
+        err.message === `testCases[0].inputFiles clash with the shared inputFiles: a/b is inside a, which is a file`
+    );
+  }
+});
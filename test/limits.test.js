@@ -0,0 +1,44 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError, resolveLimits } = require('../server');
+
+// Assert that the limits are rejected with a ValidationError with the given message
+function assertRejected(body, keyRecord, message) {
+  assert.throws(
+    () => resolveLimits(body, keyRecord),
+    (err) => err instanceof ValidationError && err.message === message
+  );
+}
+
+test('requested limits are clamped to the key ceilings', () => {
+  assert.deepStrictEqual(
+    resolveLimits({ timeoutMs: 90000, memoryMb: 4096, cpus: 8 }, { max_timeout_ms: 30000, max_memory_mb: 1024, max_cpus: 1.5 }),
+    { timeoutMs: 30000, memoryMb: 1024, cpus: 1.5, jvmOptions: [] }
+  );
+});
+
+test('memory below the minimum is rejected, not raised past the ceiling', () => {
+  assertRejected({}, { max_memory_mb: 32 }, "The API key's memory ceiling of 32MB is below the minimum of 64MB");
+  assertRejected({ memoryMb: 32 }, {}, 'memoryMb must be at least 64');
+  assertRejected({ cpus: 0.001 }, {}, 'cpus must be at least 0.01');
+});
+
+test('heap and stack sizes must fit in the memory limit', () => {
+  assert.deepStrictEqual(resolveLimits({ memoryMb: 256, jvmOptions: ['-Xmx200m', '-Xss4m'] }, {}).jvmOptions, ['-Xmx200m', '-Xss4m']);
+  assertRejected({ memoryMb: 256, jvmOptions: ['-Xmx1g'] }, {}, "-Xmx1g exceeds the job's memory limit of 256MB");
+  assertRejected({ memoryMb: 256, jvmOptions: ['-Xss100g'] }, {}, "-Xss100g exceeds the job's memory limit of 256MB");
+  assertRejected({ memoryMb: 2048, jvmOptions: ['-Xss2g'] }, {}, '-Xss2g exceeds the largest stack size of 1024MB');
+});
+
+test('memory percentages are at most 100', () => {
+  assert.deepStrictEqual(resolveLimits({ jvmOptions: ['-XX:MaxRAMPercentage=75.5'] }, {}).jvmOptions, ['-XX:MaxRAMPercentage=75.5']);
+  assertRejected({ jvmOptions: ['-XX:MaxRAMPercentage=500'] }, {}, '-XX:MaxRAMPercentage=500 must be a percentage between 0 and 100');
+  assertRejected({ jvmOptions: ['-XX:InitialRAMPercentage=100.5'] }, {}, '-XX:InitialRAMPercentage=100.5 must be a percentage between 0 and 100');
+});
+
+test('other JVM options are rejected', () => {
+  assertRejected({ jvmOptions: ['-XX:+UseSerialGC'] }, {},
+    'Unsupported JVM option -XX:+UseSerialGC; allowed are -Xmx, -Xms, -Xss, -XX:MaxRAMPercentage and -XX:InitialRAMPercentage');
+});
@@ -0,0 +1,40 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { findMainClasses } = require('../server');
+
+const source = (path, content) => ({ path, content });
+
+test('classes with a main(String[]) method are found', () => {
+  assert.deepStrictEqual(findMainClasses([
+    source('Main.java', 'public class Main { public static void main(String[] args) {} }'),
+    source('com/acme/App.java', 'package com.acme;\nclass App { static public void main(final String... args) {} }'),
+    source('Old.java', 'class Old { public static void main(String args[]) {} }'),
+    source('Helper.java', 'class Helper { static int twice(int x) { return 2 * x; } }')
+  ]), ['Main', 'com.acme.App', 'Old']);
+});
+
+test('main methods in comments and string literals do not count', () => {
+  assert.deepStrictEqual(findMainClasses([
+    source('Main.java', 'public class Main { public static void main(String[] args) {} }'),
+    source('Helper.java', [
+      'class Helper {',
+      '  // static void main(String[] args) was moved to Main',
+      '  /* public static void main(String[] args) {} */',
+      '  String text = "static void main(String[] args)";',
+      '  String block = """',
+      '      public static void main(String[] args) {}',
+      '      """;',
+      '  char quote = \'"\';',
+      '}'
+    ].join('\n'))
+  ]), ['Main']);
+});
+
+test('methods named main with other parameters do not count', () => {
+  assert.deepStrictEqual(findMainClasses([
+    source('Main.java', 'public class Main { public static void main(String[] args) {} }'),
+    source('Runner.java', 'class Runner { static void main(int times) {} }')
+  ]), ['Main']);
+});
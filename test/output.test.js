@@ -0,0 +1,37 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { outputMatches } = require('../server');
+
+const regex = (expectedStdout) => ({ expectedStdout, comparison: 'regex' });
+
+test('regex comparison matches the whole trimmed output', async () => {
+  assert.strictEqual(await outputMatches('Result: 42\n', regex('Result: \\d+')), true);
+  assert.strictEqual(await outputMatches('Result: 42 extra\n', regex('Result: \\d+')), false);
+});
+
+test('a backtracking regex times out without blocking the event loop', async () => {
+  let ticks = 0;
+  const interval = setInterval(() => ticks++, 10);
+  const started = Date.now();
+
+  await assert.rejects(
+    outputMatches('a'.repeat(40) + '!', regex('(\\w+\\s?)*')),
+    { message: /did not finish within/ }
+  );
+  clearInterval(interval);
+
+  assert.ok(Date.now() - started < 5000);
+  assert.ok(ticks > 10, 'the event loop kept running while the regex was matched');
+});
+
+test('other comparison modes', async () => {
+  assert.strictEqual(await outputMatches('a  \nb\n\n', { expectedStdout: 'a\nb', comparison: 'trimmed' }), true);
+  assert.strictEqual(await outputMatches('1   2\n3', { expectedStdout: '1 2 3', comparison: 'whitespace' }), true);
+  assert.strictEqual(
+    await outputMatches('3.14159', { expectedStdout: '3.1416', comparison: 'numeric', tolerance: 0.001 }),
+    true
+  );
+  assert.strictEqual(await outputMatches('a\r\nb', { expectedStdout: 'a\nb', comparison: 'exact' }), true);
+});
@@ -0,0 +1,62 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildContainerConfig, buildWorkdirVolumeConfig } = require('../server');
+
+const limits = { timeoutMs: 10000, memoryMb: 512, cpus: 1.5, jvmOptions: [] };
+const config = buildContainerConfig({
+  image: 'eclipse-temurin:17-jdk-alpine',
+  limits,
+  volumeName: 'java-executor-service-job-1',
+  labels: { jobId: 'job-1' }
+});
+
+test('container has no network', () => {
+  assert.strictEqual(config.HostConfig.NetworkMode, 'none');
+  assert.strictEqual(config.NetworkDisabled, true);
+});
+
+test('container drops privileges', () => {
+  assert.strictEqual(config.User, '65534:65534');
+  assert.deepStrictEqual(config.HostConfig.CapDrop, ['ALL']);
+  assert.deepStrictEqual(config.HostConfig.SecurityOpt, ['no-new-privileges']);
+  assert.strictEqual(config.HostConfig.ReadonlyRootfs, true);
+});
+
+test('container limits processes, open files and file size', () => {
+  assert.strictEqual(config.HostConfig.PidsLimit, 128);
+  assert.deepStrictEqual(config.HostConfig.Ulimits, [
+    { Name: 'nofile', Soft: 1024, Hard: 1024 },
+    { Name: 'fsize', Soft: 64 * 1024 * 1024, Hard: 64 * 1024 * 1024 }
+  ]);
+});
+
+test('container gets the job resource limits', () => {
+  assert.strictEqual(config.HostConfig.Memory, 512 * 1024 * 1024);
+  assert.strictEqual(config.HostConfig.MemorySwap, 512 * 1024 * 1024);
+  assert.strictEqual(config.HostConfig.NanoCpus, 1.5e9);
+});
+
+test('/tmp is a size-limited tmpfs without exec', () => {
+  assert.deepStrictEqual(config.HostConfig.Tmpfs, { '/tmp': 'rw,noexec,nosuid,size=64m' });
+});
+
+test('/app is the work directory volume', () => {
+  assert.strictEqual(config.WorkingDir, '/app');
+  assert.deepStrictEqual(config.HostConfig.Mounts, [
+    { Type: 'volume', Source: 'java-executor-service-job-1', Target: '/app', VolumeOptions: { NoCopy: true } }
+  ]);
+  assert.deepStrictEqual(config.Labels, { project: 'java-executor-service', jobId: 'job-1' });
+});
+
+test('work directory volume is a size-limited tmpfs owned by the sandbox user', () => {
+  const volume = buildWorkdirVolumeConfig('java-executor-service-job-1', { jobId: 'job-1' });
+
+  assert.strictEqual(volume.Name, 'java-executor-service-job-1');
+  assert.deepStrictEqual(volume.DriverOpts, {
+    type: 'tmpfs',
+    device: 'tmpfs',
+    o: 'size=64m,uid=65534,gid=65534,mode=0700'
+  });
+});
@@ -0,0 +1,87 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.JOB_WORKERS = '2';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  jobQueue,
+  runningJobs,
+  enqueueJob,
+  dequeueJob,
+  countRunningJobs,
+  countQueuedJobs,
+  pickNextJob,
+  getQueuePosition
+} = require('../server');
+
+// Jobs that occupy a worker without running anything
+function fakeRunningJob(jobId, apiKey) {
+  runningJobs.set(jobId, { controller: new AbortController(), finished: Promise.resolve(), apiKey });
+}
+
+test.beforeEach(() => {
+  for (const jobId of [...jobQueue]) dequeueJob(jobId);
+  runningJobs.clear();
+  fakeRunningJob('running-a', 'key-a');
+  fakeRunningJob('running-b', 'key-b');
+});
+
+test('queued jobs wait while every worker is busy', () => {
+  enqueueJob('queued-a', { apiKey: 'key-a', maxConcurrentJobs: 5 });
+  enqueueJob('queued-b', { apiKey: 'key-b', maxConcurrentJobs: 5 });
+
+  assert.strictEqual(getQueuePosition('queued-a'), 1);
+  assert.strictEqual(getQueuePosition('queued-b'), 2);
+  assert.strictEqual(getQueuePosition('running-a'), null);
+});
+
+test('dequeueing a queued job takes it off the queue', () => {
+  enqueueJob('queued-a', { apiKey: 'key-a', maxConcurrentJobs: 5 });
+
+  assert.strictEqual(dequeueJob('queued-a'), true);
+  assert.strictEqual(getQueuePosition('queued-a'), null);
+});
+
+test('dequeueing a running job leaves it counted for its key', () => {
+  // Cancelling a batch dequeues all of its unfinished jobs, running ones included
+  assert.strictEqual(dequeueJob('running-a'), false);
+
+  assert.strictEqual(countRunningJobs('key-a'), 1);
+  assert.strictEqual(countRunningJobs('key-b'), 1);
+  assert.strictEqual(countRunningJobs('key-c'), 0);
+});
+
+test('API keys take turns in the queue', () => {
+  const owner = (apiKey) => ({ apiKey, maxConcurrentJobs: 5 });
+  enqueueJob('a1', owner('key-a'));
+  enqueueJob('a2', owner('key-a'));
+  enqueueJob('a3', owner('key-a'));
+  enqueueJob('b1', owner('key-b'));
+  enqueueJob('c1', owner('key-c'));
+
+  assert.deepStrictEqual(
+    ['a1', 'a2', 'a3', 'b1', 'c1'].map(getQueuePosition),
+    [1, 4, 5, 2, 3]
+  );
+  assert.strictEqual(countQueuedJobs('key-a'), 3);
+  assert.strictEqual(countQueuedJobs('key-b'), 1);
+});
+
+test('jobs of one key start in submission order', () => {
+  const owner = { apiKey: 'key-c', maxConcurrentJobs: 5 };
+  enqueueJob('c1', owner);
+  enqueueJob('c2', owner);
+  enqueueJob('c3', owner);
+
+  assert.strictEqual(jobQueue[pickNextJob()], 'c1');
+  assert.deepStrictEqual(['c1', 'c2', 'c3'].map(getQueuePosition), [1, 2, 3]);
+});
+
+test('jobs of a key at its concurrency limit are skipped', () => {
+  enqueueJob('a1', { apiKey: 'key-a', maxConcurrentJobs: 1 }); // key-a already runs a job
+  enqueueJob('b1', { apiKey: 'key-b', maxConcurrentJobs: 0 }); // 0 = unlimited
+
+  assert.strictEqual(jobQueue[pickNextJob()], 'b1');
+  dequeueJob('b1');
+  assert.strictEqual(pickNextJob(), -1);
+});
@@ -0,0 +1,23 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError, checkWebhookUrl } = require('../server');
+
+for (const url of [
+  'http://127.0.0.1/',
+  'http://localhost:4000/',
+  'http://169.254.169.254/latest/meta-data/',
+  'http://10.0.0.5/',
+  'http://192.168.1.1/',
+  'http://[::1]/',
+  'http://[::ffff:10.0.0.1]/'
+]) {
+  test(`rejects ${url}`, async () => {
+    await assert.rejects(checkWebhookUrl(url, 'callbackUrl'), ValidationError);
+  });
+}
+
+test('accepts a public address', async () => {
+  await checkWebhookUrl('http://93.184.216.34/', 'callbackUrl');
+});